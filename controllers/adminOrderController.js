@@ -2,6 +2,9 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const Product = require('../models/Product');
 const { sendEmail } = require('../utils/sendEmail');
+const { returnOrderStock } = require('../utils/reservations');
+const { releaseCoupons } = require('../utils/coupons');
+const { refundPrepaidPayments } = require('../utils/orderPayments');
 
 // Get all orders with detailed information
 const getAllOrders = async (req, res) => {
@@ -10,7 +13,7 @@ const getAllOrders = async (req, res) => {
       .populate('user', 'name email')
       .populate({
         path: 'items.product',
-        select: 'name price images'
+        select: 'name price image images'
       })
       .sort({ createdAt: -1 });
 
@@ -25,11 +28,14 @@ const getAllOrders = async (req, res) => {
       },
       items: order.items.map(item => ({
         product: {
-          _id: item.product._id,
-          name: item.product.name,
+          _id: item.product?._id || null,
+          name: item.product?.name || 'Product unavailable',
           price: item.price,
-          image: item.product.images[0] || null
+          image: item.product ? item.product.getPrimaryImage() : null,
+          images: item.product ? item.product.toObject().images : []
         },
+        variant: item.variant,
+        sku: item.sku,
         quantity: item.quantity,
         size: item.size,
         total: item.price * item.quantity
@@ -78,7 +84,7 @@ const getOrderStats = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5)
       .populate('user', 'name email')
-      .populate('items.product', 'name price');
+      .populate('items.product', 'name price image images');
 
     res.json({
       totalOrders,
@@ -121,6 +127,16 @@ const updateOrderStatus = async (req, res) => {
       updatedAt: new Date()
     });
 
+    // Cancelled or dismissed orders give their stock back
+    if (['cancelled', 'dismissed'].includes(status) && order.inventoryCommitted) {
+      await returnOrderStock(order, { actor: req.user._id, reason: note });
+      order.inventoryCommitted = false;
+    }
+    if (['cancelled', 'dismissed'].includes(status)) {
+      await releaseCoupons(order);
+      await refundPrepaidPayments(order, { actor: req.user._id });
+    }
+
     await order.save();
 
     // Send email notification
@@ -171,7 +187,7 @@ const getOrderDetails = async (req, res) => {
       .populate('user', 'name email')
       .populate({
         path: 'items.product',
-        select: 'name price images description'
+        select: 'name price image images description'
       });
 
     if (!order) {
@@ -3,117 +3,11 @@ const User = require('../models/User');
 const Product = require('../models/Product'); // Assuming you have a Product model
 const Stripe = require('stripe');
 const { sendEmail } = require('../utils/sendEmail');
+const { releaseReservations, convertReservations } = require('../utils/reservations');
+const { toMinorUnits } = require('../utils/currency');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Create a new order and process payment
-const createOrder = async (req, res) => {
-  try {
-    const { 
-      items, 
-      shippingAddress, 
-      totalAmount,
-      customerName,
-      customerEmail,
-      paymentMethod,
-      shippingCost,
-      taxPrice
-    } = req.body;
-
-    console.log('Received order request:', req.body);
-
-    // Basic validation
-    if (!items || items.length === 0) {
-      return res.status(400).json({ message: 'Order must contain at least one item.' });
-    }
-
-    if (!shippingAddress || !totalAmount || !customerName || !customerEmail) {
-      return res.status(400).json({ message: 'Missing required order details.' });
-    }
-
-    // Validate products and calculate total
-    let total = 0;
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(400).json({ message: `Product not found: ${item.product}` });
-      }
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ message: `Insufficient stock for ${product.name}` });
-      }
-      total += product.price * item.quantity;
-    }
-
-    // Add shipping and tax
-    total += shippingCost || 0;
-    total += taxPrice || 0;
-
-    // Create a new order
-    const order = new Order({
-      items,
-      shippingAddress,
-      totalAmount: total,
-      shippingCost,
-      taxPrice,
-      paymentMethod,
-      customerName,
-      customerEmail,
-      paymentStatus: 'pending',
-      orderStatus: 'processing'
-    });
-
-    // Save the order to the database
-    await order.save();
-    console.log('Order saved successfully:', order._id);
-
-    // Update product stock
-    for (const item of items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity }
-      });
-    }
-
-    // Handle payment based on method
-    if (paymentMethod === 'card') {
-      try {
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(total * 100), // Convert to cents
-          currency: 'usd',
-          metadata: { orderId: order._id.toString() },
-          automatic_payment_methods: {
-            enabled: true,
-          },
-        });
-
-        // Update order with payment intent ID
-        order.paymentIntentId = paymentIntent.id;
-        await order.save();
-
-        res.status(201).json({ 
-          clientSecret: paymentIntent.client_secret, 
-          orderId: order._id 
-        });
-      } catch (error) {
-        // If payment intent creation fails, delete the order
-        await Order.findByIdAndDelete(order._id);
-        throw error;
-      }
-    } else {
-      // For cash on delivery
-      res.status(201).json({ 
-        message: 'Order created successfully',
-        orderId: order._id 
-      });
-    }
-  } catch (error) {
-    console.error('Error creating order:', error);
-    res.status(500).json({ 
-      message: error.message || 'Failed to create order.',
-      error: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
-  }
-};
-
 // Update order payment status after successful payment (webhook or callback)
 const updatePaymentStatus = async (req, res) => {
   try {
@@ -131,6 +25,7 @@ const updatePaymentStatus = async (req, res) => {
     if (paymentIntent.status === 'succeeded') {
       order.paymentStatus = 'paid';
       order.orderStatus = 'processing';
+      await convertReservations(order);
       await order.save();
 
       // Send order status update email
@@ -150,6 +45,8 @@ const updatePaymentStatus = async (req, res) => {
       res.json({ message: 'Payment status updated to paid.' });
     } else if (paymentIntent.status === 'payment_failed') {
       order.paymentStatus = 'failed';
+      const released = await releaseReservations({ order: order._id }, { reason: 'Payment failed' });
+      if (released.length > 0) order.inventoryCommitted = false;
       await order.save();
       res.status(400).json({ message: 'Payment failed.' });
     } else {
@@ -199,14 +96,21 @@ const getPaymentIntent = async (req, res) => {
     }
 
     // Check if payment is already completed
-    if (order.paymentStatus === 'completed') {
+    if (order.paymentStatus === 'paid') {
       return res.status(400).json({ message: 'Payment already completed for this order' });
     }
 
+    // Only the part gift cards and store credit did not cover is paid by card
+    // (orders from before split payments have no amountDue)
+    const amountDue = order.amountDue ?? order.totalAmount;
+    if (!(amountDue > 0)) {
+      return res.status(400).json({ message: 'Nothing is left to pay by card on this order' });
+    }
+
     // Create a payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.totalAmount * 100), // Convert to cents
-      currency: 'usd',
+      amount: toMinorUnits(amountDue, order.currency),
+      currency: order.currency.toLowerCase(),
       metadata: {
         orderId: order._id.toString(),
         userId: req.user._id.toString()
@@ -223,7 +127,6 @@ const getPaymentIntent = async (req, res) => {
 };
 
 module.exports = {
-  createOrder,
   updatePaymentStatus,
   getUserOrders,
   getAllOrders,
@@ -0,0 +1,11 @@
+const { processAbandonedCheckouts } = require('../utils/abandonedCheckouts');
+
+// Email reminders to customers who left checkout without ordering
+const sendAbandonedCheckoutReminders = async () => {
+  const { detected, sent } = await processAbandonedCheckouts();
+  if (detected > 0 || sent > 0) {
+    console.log(`Found ${detected} abandoned checkouts, sent ${sent} reminders`);
+  }
+};
+
+module.exports = sendAbandonedCheckoutReminders;
@@ -0,0 +1,16 @@
+const Product = require('../models/Product');
+const { notifyWishlistSale } = require('../utils/wishlistNotifications');
+
+// Start sales that are due and restore regular prices when sales end
+const applyScheduledSales = async () => {
+  const { started, ended } = await Product.applyScheduledSales();
+  if (started.length > 0 || ended.length > 0) {
+    console.log(`Sales: started ${started.length}, ended ${ended.length}`);
+  }
+
+  for (const product of started) {
+    await notifyWishlistSale(product);
+  }
+};
+
+module.exports = applyScheduledSales;
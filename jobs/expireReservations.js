@@ -0,0 +1,11 @@
+const { expireReservations } = require('../utils/reservations');
+
+// Give back stock held by checkouts that were not paid in time
+const expireStockReservations = async () => {
+  const expired = await expireReservations();
+  if (expired > 0) {
+    console.log(`Released ${expired} expired stock reservations`);
+  }
+};
+
+module.exports = expireStockReservations;
@@ -0,0 +1,50 @@
+// In-process background jobs. Each job runs once at startup and then on its
+// interval; a run is skipped while the previous one is still going.
+const publishScheduledProducts = require('./publishScheduledProducts');
+const applyScheduledSales = require('./applyScheduledSales');
+const sendLowStockDigest = require('./lowStockDigest');
+const refreshRecommendations = require('./refreshRecommendations');
+const expireStockReservations = require('./expireReservations');
+const sendAbandonedCheckoutReminders = require('./abandonedCheckouts');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const JOBS = [
+  { name: 'publishScheduledProducts', interval: MINUTE, run: publishScheduledProducts },
+  { name: 'applyScheduledSales', interval: MINUTE, run: applyScheduledSales },
+  { name: 'expireStockReservations', interval: MINUTE, run: expireStockReservations },
+  { name: 'sendAbandonedCheckoutReminders', interval: 15 * MINUTE, run: sendAbandonedCheckoutReminders },
+  { name: 'sendLowStockDigest', interval: HOUR, run: sendLowStockDigest },
+  { name: 'refreshRecommendations', interval: 6 * HOUR, run: refreshRecommendations }
+];
+
+let started = false;
+
+const startJobs = () => {
+  if (started) return;
+  started = true;
+
+  JOBS.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    setInterval(tick, job.interval);
+    tick();
+  });
+
+  console.log(`Started ${JOBS.length} background jobs`);
+};
+
+module.exports = { startJobs };
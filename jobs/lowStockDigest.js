@@ -0,0 +1,51 @@
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/sendEmail');
+const { findThresholdCrossings } = require('../utils/lowStock');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Email admins the items that dropped below their reorder threshold since the
+// previous digest. Runs hourly but sends at most once a day.
+const sendLowStockDigest = async (now = new Date()) => {
+  const settings = await Settings.getSettings();
+  if (!settings.inventory.lowStockDigest) return;
+
+  const last = settings.inventory.lastLowStockDigestAt;
+  if (last && now - last < DAY) return;
+
+  const since = last || new Date(now.getTime() - DAY);
+  const items = await findThresholdCrossings(since);
+
+  if (items.length > 0) {
+    const admins = await User.find({ role: 'admin' }).select('name email');
+    let sent = 0;
+
+    for (const admin of admins) {
+      try {
+        await sendEmail(
+          admin.email,
+          `Low stock: ${items.length} item${items.length === 1 ? '' : 's'} need reordering`,
+          'lowStockDigest',
+          {
+            name: admin.name,
+            items,
+            since: since.toLocaleString()
+          }
+        );
+        sent += 1;
+      } catch (error) {
+        console.error(`Error sending low stock digest to ${admin.email}:`, error.message);
+      }
+    }
+
+    // Try again next hour if nobody could be reached
+    if (sent === 0) return;
+    console.log(`Sent low stock digest with ${items.length} items to ${sent} admins`);
+  }
+
+  settings.inventory.lastLowStockDigestAt = now;
+  await settings.save();
+};
+
+module.exports = sendLowStockDigest;
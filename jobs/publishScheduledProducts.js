@@ -0,0 +1,11 @@
+const Product = require('../models/Product');
+
+// Make scheduled products live once their publish time has passed
+const publishScheduledProducts = async () => {
+  const published = await Product.publishDue();
+  if (published > 0) {
+    console.log(`Published ${published} scheduled products`);
+  }
+};
+
+module.exports = publishScheduledProducts;
@@ -0,0 +1,9 @@
+const { rebuildRecommendations } = require('../utils/recommendations');
+
+// Recompute frequently-bought-together lists from order history
+const refreshRecommendations = async () => {
+  const count = await rebuildRecommendations();
+  console.log(`Refreshed recommendations for ${count} products`);
+};
+
+module.exports = refreshRecommendations;
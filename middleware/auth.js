@@ -27,6 +27,20 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalProtect = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.userId).select('-password');
+    }
+  } catch (error) {
+    req.user = undefined;
+  }
+  next();
+};
+
 const admin = async (req, res, next) => {
   try {
     if (!req.user) {
@@ -47,4 +61,4 @@ const admin = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin }; 
\ No newline at end of file
+module.exports = { protect, optionalProtect, admin }; 
\ No newline at end of file
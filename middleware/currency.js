@@ -0,0 +1,17 @@
+const { getCurrencyContext } = require('../utils/currency');
+
+// Resolve ?currency= into req.currency ({ currency, baseCurrency, rate }).
+// Unsupported currencies are rejected; without the parameter prices stay in the base currency.
+const resolveCurrency = async (req, res, next) => {
+  try {
+    req.currency = await getCurrencyContext(req.query.currency);
+    next();
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = { resolveCurrency };
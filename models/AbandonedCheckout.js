@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A checkout the customer started and walked away from, with the reminder
+// emails sent for it and whether it was won back with an order.
+const abandonedCheckoutSchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String
+  },
+  // The cart as it was when the checkout was abandoned
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: String,
+    size: String,
+    quantity: Number,
+    price: Number
+  }],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  // Secret for the one-click restore link in the reminders
+  restoreToken: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'recovered', 'closed'],
+    default: 'pending'
+  },
+  abandonedAt: {
+    type: Date,
+    required: true
+  },
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: {
+    type: Date
+  },
+  // Coupon offered in the latest reminder, if any
+  couponCode: {
+    type: String
+  },
+  restoredAt: {
+    type: Date
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredAt: {
+    type: Date
+  },
+  // Order total in the store's base currency, so reports can add them up
+  recoveredAmount: {
+    type: Number
+  },
+  closedAt: {
+    type: Date
+  },
+  closeReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+abandonedCheckoutSchema.index({ restoreToken: 1 }, { unique: true });
+abandonedCheckoutSchema.index({ status: 1, cart: 1 });
+abandonedCheckoutSchema.index({ status: 1, email: 1 });
+abandonedCheckoutSchema.index({ abandonedAt: -1 });
+
+module.exports = mongoose.model('AbandonedCheckout', abandonedCheckoutSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A request to be emailed once a sold-out product (or variant) is available again
+const backInStockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant subdocument id; required for products that have variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.+-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/, 'Please enter a valid email address']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // active until the email is sent (or the customer unsubscribes)
+  status: {
+    type: String,
+    enum: ['active', 'notified', 'unsubscribed'],
+    default: 'active'
+  },
+  notifiedAt: {
+    type: Date
+  },
+  // Lets guests unsubscribe without an account
+  token: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  }
+}, {
+  timestamps: true
+});
+
+// One active subscription per email and product/variant
+backInStockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+backInStockSubscriptionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('BackInStockSubscription', backInStockSubscriptionSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Guest carts are dropped after this long without activity
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  sku: {
+    type: String
+  },
+  size: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Unit price the last time the cart was checked against the catalog
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A shopping cart, owned by a user or by a guest holding the cart token
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  token: {
+    type: String
+  },
+  items: [cartItemSchema],
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the cart has been quoted for checkout; cleared when it is ordered
+  checkout: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    startedAt: {
+      type: Date
+    },
+    // Recovery record opened when the checkout was abandoned
+    abandonedCheckout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AbandonedCheckout'
+    }
+  },
+  // Only set for guest carts; MongoDB removes them once it passes
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre('save', function(next) {
+  if (!this.user && !this.token) {
+    this.token = crypto.randomBytes(24).toString('hex');
+  }
+  this.lastActivityAt = new Date();
+  this.expiresAt = this.user
+    ? undefined
+    : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    String(item.product._id || item.product) === String(productId) &&
+    String(item.variant || '') === String(variantId || '')
+  );
+};
+
+cartSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+cartSchema.virtual('subtotal').get(function() {
+  return Math.round(this.items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+});
+
+cartSchema.statics.GUEST_CART_TTL_DAYS = GUEST_CART_TTL_DAYS;
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const isObjectId = value => /^[0-9a-fA-F]{24}$/.test(String(value));
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Ids from the root down to the direct parent, used for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  image: {
+    type: String,
+    default: ''
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Low-stock alert level for products in this subtree; empty uses the store default
+  reorderThreshold: {
+    type: Number,
+    min: 0
+  },
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, position: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Create slug from name unless one was given explicitly. Names repeat across
+// branches (e.g. "Casual" under both Men and Women), so a taken slug is prefixed
+// with the parent's slug and then numbered.
+categorySchema.pre('validate', async function(next) {
+  try {
+    if (this.slug && !(this.isModified('name') && !this.isModified('slug'))) return next();
+
+    const base = slugify(this.name || '', { lower: true, strict: true });
+    const taken = slug => this.constructor.exists({ slug, _id: { $ne: this._id } });
+
+    let candidate = base;
+    if (await taken(candidate) && this.parent) {
+      const parent = await this.constructor.findById(this.parent).select('slug');
+      if (parent) candidate = `${parent.slug}-${base}`;
+    }
+    const prefix = candidate;
+    for (let suffix = 2; await taken(candidate); suffix += 1) {
+      candidate = `${prefix}-${suffix}`;
+    }
+
+    this.slug = candidate;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Derive ancestors from the parent and refuse to create cycles
+categorySchema.pre('save', async function(next) {
+  if (!this.isModified('parent') && !this.isNew) return next();
+  this.$locals.moved = !this.isNew;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent);
+  if (!parent) {
+    return next(new Error('Parent category not found'));
+  }
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    return next(new Error('A category cannot be moved under itself or one of its children'));
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  next();
+});
+
+// Re-parent descendants after this category moved in the tree
+categorySchema.post('save', async function() {
+  if (!this.$locals.moved) return;
+
+  const descendants = await this.constructor.find({ ancestors: this._id });
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex(id => id.equals(this._id));
+    const ancestors = [...this.ancestors, this._id, ...descendant.ancestors.slice(index + 1)];
+    await this.constructor.updateOne({ _id: descendant._id }, { ancestors });
+  }
+});
+
+// Find a category by id or slug
+categorySchema.statics.findByIdentifier = function(identifier) {
+  if (!identifier) return Promise.resolve(null);
+  return isObjectId(identifier)
+    ? this.findById(identifier)
+    : this.findOne({ slug: String(identifier).toLowerCase() });
+};
+
+// Expand ids or slugs to the matching categories and all their descendants
+categorySchema.statics.expandIds = async function(identifiers = []) {
+  const ids = identifiers.filter(isObjectId);
+  const slugs = identifiers.filter(value => !isObjectId(value)).map(value => String(value).toLowerCase());
+
+  const roots = await this.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] }).select('_id');
+  if (roots.length === 0) return [];
+
+  const rootIds = roots.map(category => category._id);
+  const descendants = await this.find({ ancestors: { $in: rootIds } }).select('_id');
+  return [...rootIds, ...descendants.map(category => category._id)];
+};
+
+// Nest a flat list of categories into a tree
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Category = require('./Category');
+const { SORT_OPTIONS, escapeRegex } = require('../utils/productQuery');
+
+const RULE_FIELDS = {
+  brand: 'brand',
+  tag: 'tags',
+  price: 'price'
+};
+
+const ruleSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: ['category', 'brand', 'tag', 'price', 'attribute']
+  },
+  // Attribute name when field is 'attribute' (e.g. 'gender')
+  attribute: {
+    type: String,
+    trim: true,
+    required: [function() {
+      return this.field === 'attribute';
+    }, 'Attribute name is required for attribute rules']
+  },
+  operator: {
+    type: String,
+    required: true,
+    enum: ['equals', 'not_equals', 'in', 'contains', 'gt', 'gte', 'lt', 'lte'],
+    default: 'equals'
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  heroImage: {
+    type: String,
+    default: ''
+  },
+  // manual: hand-picked products; automated: products matching the rules
+  type: {
+    type: String,
+    enum: ['manual', 'automated'],
+    default: 'manual'
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  rules: [ruleSchema],
+  // Whether products must match all rules or any of them
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  // Default product order; 'manual' follows the order of `products`
+  sortOrder: {
+    type: String,
+    enum: ['manual', ...Object.keys(SORT_OPTIONS)],
+    default: 'newest'
+  },
+  // Position of the collection in navigation
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ isActive: 1, position: 1 });
+
+// Create slug from name unless one was given explicitly
+collectionSchema.pre('validate', function(next) {
+  if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+    this.slug = slugify(this.name || '', { lower: true, strict: true });
+  }
+  if (this.type === 'automated' && this.rules.length === 0) {
+    return next(new Error('Automated collections need at least one rule'));
+  }
+  next();
+});
+
+const buildRuleCondition = (rule) => {
+  const path = rule.field === 'attribute' ? `attributes.${rule.attribute}` : RULE_FIELDS[rule.field];
+  const value = rule.value;
+
+  switch (rule.operator) {
+    case 'not_equals':
+      return { [path]: { $ne: value } };
+    case 'in':
+      return { [path]: { $in: Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()) } };
+    case 'contains':
+      return { [path]: { $regex: escapeRegex(value), $options: 'i' } };
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return { [path]: { [`$${rule.operator}`]: Number(value) } };
+    default:
+      return { [path]: value };
+  }
+};
+
+// Category rules name categories by slug or id; match their subtrees as well
+const buildCategoryCondition = async (rule) => {
+  const values = Array.isArray(rule.value) ? rule.value : String(rule.value).split(',').map(item => item.trim());
+  const ids = await Category.expandIds(values);
+  return { category: rule.operator === 'not_equals' ? { $nin: ids } : { $in: ids } };
+};
+
+// Mongo filter selecting the products in this collection
+collectionSchema.methods.buildProductQuery = async function() {
+  if (this.type === 'manual') {
+    return { _id: { $in: this.products } };
+  }
+
+  const conditions = await Promise.all(this.rules.map(rule =>
+    rule.field === 'category' ? buildCategoryCondition(rule) : buildRuleCondition(rule)
+  ));
+  return this.match === 'any' ? { $or: conditions } : { $and: conditions };
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
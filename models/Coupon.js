@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'Code cannot be more than 40 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: {
+      values: COUPON_TYPES,
+      message: 'Type must be percent, fixed or free_shipping'
+    },
+    required: [true, 'Type is required']
+  },
+  // Percentage off (0-100) or amount off; unused for free shipping
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    required: [function() { return this.type !== 'free_shipping'; }, 'Value is required']
+  },
+  // Spend needed on the qualifying items before the coupon applies
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Limit the coupon to these products and/or categories (including subcategories).
+  // Empty means the whole order qualifies.
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Total redemptions allowed; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Stackable coupons can be combined with other stackable coupons; others must be used alone
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percent' && this.value > 100) {
+    this.invalidate('value', 'A percentage cannot be more than 100');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+// Why the coupon cannot be used right now, or null if it can
+couponSchema.methods.unavailableReason = function(now = new Date()) {
+  if (!this.isActive) return 'is not active';
+  if (this.startsAt && this.startsAt > now) return 'is not valid yet';
+  if (this.endsAt && this.endsAt <= now) return 'has expired';
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return 'has reached its usage limit';
+  return null;
+};
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// How many times one customer has used a coupon that has a per-customer limit.
+// Kept as a counter so the limit can be enforced with a single conditional update.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  // "user:<id>" or "email:<address>"; a signed-in customer's orders count against both
+  customer: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
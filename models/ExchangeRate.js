@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Conversion from the store's base currency (Store.currency) to a currency
+// customers can shop in: one unit of the base currency buys `rate` units.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Codes avoid characters that are easy to misread (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateCode = () => Array.from({ length: 4 }, () =>
+  Array.from(crypto.randomBytes(4), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')
+).join('-');
+
+const giftCardTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'refund', 'adjustment'],
+    required: true
+  },
+  // Signed change to the balance
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialBalance: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // pending: bought but not paid for yet; disabled: blocked by an admin
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'disabled'],
+    default: 'active'
+  },
+  source: {
+    type: String,
+    enum: ['purchase', 'admin'],
+    required: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  purchaser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purchaserEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  recipientName: String,
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  paymentIntentId: String,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transactions: [giftCardTransactionSchema]
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ recipientEmail: 1 });
+
+giftCardSchema.pre('validate', function(next) {
+  if (!this.code) this.code = generateCode();
+  if (this.isNew && this.balance === undefined) this.balance = this.initialBalance;
+  next();
+});
+
+giftCardSchema.methods.isExpired = function(now = new Date()) {
+  return !!this.expiresAt && this.expiresAt <= now;
+};
+
+// Only show the last group of the code outside the owner's view
+giftCardSchema.methods.maskedCode = function() {
+  return `****-****-****-${this.code.slice(-4)}`;
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
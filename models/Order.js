@@ -20,18 +20,37 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Variant subdocument id on the product, when the product has variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    sku: {
+      type: String
+    },
     quantity: {
       type: Number,
       required: true,
       min: 1
     },
+    // Variant label (e.g. "M / Red") or legacy free-text size
     size: {
-      type: String,
-      required: true
+      type: String
     },
     price: {
       type: Number,
       required: true
+    },
+    // Tax on the line after its share of the discounts
+    taxClass: {
+      type: String
+    },
+    taxRate: {
+      type: Number,
+      default: 0
+    },
+    tax: {
+      type: Number,
+      default: 0
     }
   }],
   shippingAddress: {
@@ -56,10 +75,41 @@ const orderSchema = new mongoose.Schema({
       required: true
     }
   },
+  // How the amount due is paid; gift_card or store_credit when those cover the whole order
   paymentMethod: {
     type: String,
     required: true,
-    enum: ['card', 'cod']
+    enum: ['card', 'cod', 'gift_card', 'store_credit']
+  },
+  // Gift card and store credit amounts taken at checkout
+  payments: [{
+    method: {
+      type: String,
+      enum: ['gift_card', 'store_credit'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    // Masked gift card code for display
+    reference: String,
+    refunded: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // What is left to pay by card or on delivery after gift cards and store credit
+  amountDue: {
+    type: Number
+  },
+  // Stripe payment intent for the card amount
+  paymentIntentId: {
+    type: String
   },
   paymentResult: {
     id: String,
@@ -67,20 +117,89 @@ const orderSchema = new mongoose.Schema({
     update_time: String,
     email_address: String
   },
+  // Amounts below come from the checkout quote the order was placed with
+  itemsPrice: {
+    type: Number
+  },
+  discountPrice: {
+    type: Number,
+    default: 0
+  },
+  // Coupons applied at checkout. Free-shipping coupons record the shipping they saved.
+  discounts: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percent', 'fixed', 'free_shipping']
+    },
+    description: String,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // Whether the coupons' usage has been counted and not yet given back
+  couponsRedeemed: {
+    type: Boolean,
+    default: false
+  },
   totalAmount: {
     type: Number,
     required: true
   },
+  // Currency the customer was charged in; every amount on the order is in it
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Units of `currency` per unit of the store's base currency when the order was placed
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
   shippingPrice: {
     type: Number,
     required: true,
-    default: 10
+    default: 0
+  },
+  // Shipping method chosen at checkout and its delivery window
+  shippingMethod: {
+    method: {
+      type: String,
+      enum: ['standard', 'express', 'pickup']
+    },
+    name: String,
+    minDays: Number,
+    maxDays: Number,
+    estimatedDeliveryFrom: Date,
+    estimatedDeliveryTo: Date
   },
   taxPrice: {
     type: Number,
     required: true,
     default: 0
   },
+  shippingTax: {
+    type: Number,
+    default: 0
+  },
+  // Whether the item and shipping prices already include taxPrice
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  // Tax collected per rule and rate, for invoices and the tax report
+  taxes: [{
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
   status: {
     type: String,
     required: true,
@@ -113,6 +232,15 @@ const orderSchema = new mongoose.Schema({
   paidAt: {
     type: Date
   },
+  // Checkout quote the order was placed with; each quote can be used once
+  quoteId: {
+    type: String
+  },
+  // Whether the items' stock has been taken (or is held for payment) and not yet put back
+  inventoryCommitted: {
+    type: Boolean,
+    default: false
+  },
   isDelivered: {
     type: Boolean,
     required: true,
@@ -125,6 +253,9 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+orderSchema.index({ quoteId: 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'discounts.coupon': 1 });
+
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order; 
\ No newline at end of file
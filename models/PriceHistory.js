@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One entry per price change of a product (or one of its variants)
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when a variant's own price changed
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  previousPrice: {
+    type: Number
+  },
+  compareAtPrice: {
+    type: Number
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'manual', 'sale_start', 'sale_end', 'import'],
+    default: 'manual'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
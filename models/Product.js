@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const slugify = require('slugify');
+const PriceHistory = require('./PriceHistory');
+
+// A purchasable combination of option values (e.g. size M / color Red)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set, including while a sale runs
+  price: {
+    type: Number,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  // Shipping weight in kg; empty uses the product's weight
+  weight: {
+    type: Number,
+    min: 0
+  },
+  // Units held for checkouts awaiting payment; already taken out of `stock`
+  reserved: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  image: {
+    type: String
+  }
+});
+
+// Gallery image; `variants` scopes it to specific variants, empty means all
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  alt: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  variants: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -6,28 +73,112 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Catalog-level SKU, used to match rows in bulk imports
+  sku: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true,
+    uppercase: true
+  },
+  // Slugs this product used before, so old links can redirect
+  previousSlugs: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   description: {
     type: String,
     required: true
   },
+  // Current selling price; while a sale runs this is the sale price
   price: {
     type: Number,
     required: true,
     min: 0
   },
+  // Fixed prices in other currencies, used instead of converting `price`
+  // (ignored while a sale runs and for variants with their own price)
+  currencyPrices: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Reference "was" price shown struck through; must be above the price
+  compareAtPrice: {
+    type: Number,
+    min: 0
+  },
+  // Scheduled sale. The sales job swaps `price` to `sale.price` at startsAt and
+  // restores `sale.originalPrice` at endsAt. Variants with their own price are
+  // deliberately left out: an override is a fixed price, so it applies during sales too.
+  sale: {
+    price: {
+      type: Number,
+      min: 0
+    },
+    startsAt: Date,
+    endsAt: Date,
+    originalPrice: Number,
+    active: {
+      type: Boolean,
+      default: false
+    }
+  },
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: true
   },
+  // Units available to sell. Units held by checkout reservations are counted in `reserved`.
   stock: {
     type: Number,
     required: true,
     min: 0
   },
+  reserved: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Low-stock alert level for the product and each variant; empty falls back to the category
+  reorderThreshold: {
+    type: Number,
+    min: 0
+  },
+  // Which tax rules apply to the product
+  taxClass: {
+    type: String,
+    enum: ['standard', 'reduced', 'exempt'],
+    default: 'standard'
+  },
+  // Shipping weight in kg and package size in cm
+  weight: {
+    type: Number,
+    min: 0
+  },
+  dimensions: {
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+  },
+  // Primary image URL, kept in sync with the gallery for older clients
   image: {
     type: String,
-    required: true
+    required: [function() {
+      return !this.images || this.images.length === 0;
+    }, 'At least one product image is required']
   },
+  images: [imageSchema],
   brand: {
     type: String,
     required: true
@@ -45,6 +196,65 @@ const productSchema = new mongoose.Schema({
   sizes: {
     type: [String]
   },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Free-form merchandising attributes such as { gender: 'women', material: 'cotton' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Option axes such as [{ name: 'size', values: ['S', 'M'] }]
+  options: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  variants: [variantSchema],
+  // Aggregated from approved reviews
+  rating: {
+    average: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // draft: being prepared; scheduled: goes live at publishAt; archived: retired but
+  // kept for order history. Only active products are shown publicly.
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'scheduled', 'archived'],
+    default: 'active'
+  },
+  publishAt: {
+    type: Date,
+    required: [function() {
+      return this.status === 'scheduled';
+    }, 'A publish date is required for scheduled products']
+  },
+  archivedAt: {
+    type: Date
+  },
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -55,6 +265,359 @@ const productSchema = new mongoose.Schema({
   }
 });
 
+// Indexes for catalog filtering and sorting
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ brand: 1 });
+productSchema.index({ sizes: 1 });
+productSchema.index({ tags: 1 });
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Full-text search, weighted towards name and brand
+productSchema.index(
+  { name: 'text', brand: 'text', description: 'text', features: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, brand: 5, features: 2, description: 1 }
+  }
+);
+
+// Find a free slug based on the given text, skipping ones used (now or before) by other products
+productSchema.statics.generateUniqueSlug = async function(text, excludeId) {
+  const base = slugify(String(text || ''), { lower: true, strict: true }) || 'product';
+  let candidate = base;
+  let suffix = 2;
+
+  while (await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug: candidate }, { previousSlugs: candidate }]
+  })) {
+    candidate = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return candidate;
+};
+
+// Create slug from name (or a requested slug) and remember the old one for redirects
+productSchema.pre('save', async function(next) {
+  try {
+    const slugRequested = this.isModified('slug') && this.slug;
+    if (!slugRequested && this.slug && !this.isModified('name')) return next();
+
+    const previous = this.isNew ? null : (await this.constructor.findById(this._id).select('slug'))?.slug;
+    this.slug = await this.constructor.generateUniqueSlug(slugRequested ? this.slug : this.name, this._id);
+
+    if (previous && previous !== this.slug && !this.previousSlugs.includes(previous)) {
+      this.previousSlugs.push(previous);
+    }
+    this.previousSlugs = this.previousSlugs.filter(slug => slug !== this.slug);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Product price plus each variant's own price, keyed by variant id ('' for the product)
+const priceSnapshot = (product) => {
+  const prices = new Map([['', product.price]]);
+  (product.variants || []).forEach(variant => {
+    if (variant.price !== undefined && variant.price !== null) prices.set(String(variant._id), variant.price);
+  });
+  return prices;
+};
+
+const isSizeAxis = name => String(name).toLowerCase() === 'size';
+
+// Size values across variants, for the legacy `sizes` list
+const variantSizes = (variants) => {
+  const sizes = [];
+  variants.forEach(variant => {
+    const options = variant.options instanceof Map ? variant.options : new Map(Object.entries(variant.options || {}));
+    options.forEach((value, name) => {
+      if (isSizeAxis(name) && !sizes.includes(value)) sizes.push(value);
+    });
+  });
+  return sizes;
+};
+
+// Keep sizes in sync with variants, and product-level stock on creation. After
+// that, stock only changes through atomic $inc updates (utils/inventory), so a
+// save never writes back stock or reserved counts it loaded earlier.
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const skus = this.variants.map(variant => variant.sku);
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicate) {
+    return next(new Error(`Duplicate variant SKU: ${duplicate}`));
+  }
+
+  if (this.isNew) {
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+    this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+  }
+
+  const sizes = variantSizes(this.variants);
+  if (sizes.length) this.sizes = sizes;
+
+  next();
+});
+
+// Order the gallery, make sure exactly one image is primary and mirror it to `image`.
+// Setting only the legacy `image` changes the primary image instead.
+productSchema.pre('validate', function(next) {
+  if ((!this.images || this.images.length === 0) && this.image) {
+    this.images = [{ url: this.image, alt: this.name, isPrimary: true, position: 0 }];
+  }
+  if (!this.images || this.images.length === 0) return next();
+
+  let legacyPrimary = null;
+  if (this.image && this.isModified('image') && !this.isModified('images')) {
+    legacyPrimary = this.images.find(image => image.url === this.image);
+    if (!legacyPrimary) {
+      legacyPrimary = this.images.find(image => image.isPrimary) || this.images[0];
+      legacyPrimary.url = this.image;
+    }
+  }
+
+  const sorted = [...this.images].sort((a, b) => a.position - b.position);
+  let primary = legacyPrimary || sorted.find(image => image.isPrimary) || sorted[0];
+  sorted.forEach((image, index) => {
+    image.position = index;
+    image.isPrimary = image === primary;
+  });
+  this.images = sorted;
+  this.image = primary.url;
+
+  next();
+});
+
+// Publish scheduled products whose time has come and stamp archive dates
+productSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && this.publishAt && this.publishAt <= new Date()) {
+    this.status = 'active';
+  }
+  if (this.status === 'archived') {
+    this.archivedAt = this.archivedAt || new Date();
+  } else {
+    this.archivedAt = undefined;
+  }
+  next();
+});
+
+// Keep sale dates and prices consistent
+productSchema.pre('validate', function(next) {
+  if (this.sale && this.sale.price !== undefined && this.sale.price !== null) {
+    const regular = this.sale.active ? this.sale.originalPrice : this.price;
+    if (this.sale.price >= regular) {
+      return next(new Error('Sale price must be lower than the regular price'));
+    }
+    if (this.sale.startsAt && this.sale.endsAt && this.sale.endsAt <= this.sale.startsAt) {
+      return next(new Error('Sale end must be after its start'));
+    }
+  }
+  if (this.compareAtPrice !== undefined && this.compareAtPrice !== null && this.compareAtPrice <= this.price && !this.sale?.active) {
+    return next(new Error('Compare-at price must be higher than the price'));
+  }
+  next();
+});
+
+// Remember prices as loaded so saves can log what changed
+productSchema.post('init', function() {
+  this.$locals.loadedPrices = priceSnapshot(this);
+});
+
+// Log price changes (product and variant overrides) to the price history.
+// Callers may set $locals.priceChangeReason and $locals.priceChangeActor.
+productSchema.post('save', async function() {
+  const before = this.$locals.loadedPrices;
+  const after = priceSnapshot(this);
+  const reason = before ? this.$locals.priceChangeReason || 'manual' : 'created';
+  const entries = [];
+
+  after.forEach((price, key) => {
+    const previousPrice = before ? before.get(key) : undefined;
+    if (price === undefined || price === null || price === previousPrice) return;
+    entries.push({
+      product: this._id,
+      variant: key || undefined,
+      price,
+      previousPrice,
+      compareAtPrice: key ? undefined : this.getCompareAtPrice(),
+      reason,
+      actor: this.$locals.priceChangeActor
+    });
+  });
+
+  this.$locals.loadedPrices = after;
+  this.$locals.priceChangeReason = undefined;
+  if (entries.length > 0) {
+    await PriceHistory.insertMany(entries);
+  }
+});
+
+// Put a scheduled sale into effect
+productSchema.methods.startSale = function() {
+  if (this.sale.active) return;
+  this.sale.originalPrice = this.price;
+  this.price = this.sale.price;
+  this.sale.active = true;
+  this.$locals.priceChangeReason = 'sale_start';
+};
+
+// Restore the regular price and clear the sale
+productSchema.methods.endSale = function() {
+  if (this.sale.active) {
+    this.price = this.sale.originalPrice;
+    this.$locals.priceChangeReason = 'sale_end';
+  }
+  this.sale = { active: false };
+};
+
+// The struck-through price to show next to the current one, if any
+productSchema.methods.getCompareAtPrice = function() {
+  if (this.sale && this.sale.active) return this.sale.originalPrice;
+  return this.compareAtPrice || undefined;
+};
+
+// Start sales whose time has come and end expired ones; returns the products changed { started, ended }
+productSchema.statics.applyScheduledSales = async function(now = new Date()) {
+  const [starting, ending] = await Promise.all([
+    this.find({
+      'sale.active': { $ne: true },
+      'sale.price': { $ne: null },
+      'sale.startsAt': { $lte: now },
+      $or: [{ 'sale.endsAt': null }, { 'sale.endsAt': { $gt: now } }]
+    }),
+    this.find({ 'sale.active': true, 'sale.endsAt': { $lte: now } })
+  ]);
+
+  // A product that fails to save is logged and skipped so it does not hold up the rest;
+  // it is picked up again on the next run
+  const apply = async (products, change, label) => {
+    const applied = [];
+    for (const product of products) {
+      try {
+        product[change]();
+        await product.save();
+        applied.push(product);
+      } catch (error) {
+        console.error(`Error ${label} sale for product ${product._id}:`, error.message);
+      }
+    }
+    return applied;
+  };
+
+  return {
+    started: await apply(starting, 'startSale', 'starting'),
+    ended: await apply(ending, 'endSale', 'ending')
+  };
+};
+
+// Activate every scheduled product that is due; returns the number published
+productSchema.statics.publishDue = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'active', updatedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+// Primary image URL, falling back to the legacy single image
+productSchema.methods.getPrimaryImage = function() {
+  const primary = (this.images || []).find(image => image.isPrimary) || (this.images || [])[0];
+  return primary ? primary.url : this.image || null;
+};
+
+// Gallery images for a variant: its own images first, then the shared ones
+productSchema.methods.getVariantImages = function(variant) {
+  const images = this.images || [];
+  if (!variant) return images.filter(image => image.variants.length === 0);
+
+  const own = images.filter(image => image.variants.some(id => id.equals(variant._id)));
+  const shared = images.filter(image => image.variants.length === 0);
+  return [...own, ...shared];
+};
+
+// Find a variant by id, SKU or (for single-axis products) legacy size label
+productSchema.methods.findVariant = function({ variant, sku, size } = {}) {
+  if (!this.variants || this.variants.length === 0) return null;
+
+  if (variant) {
+    return this.variants.id(variant) || null;
+  }
+  if (sku) {
+    return this.variants.find(item => item.sku === String(sku).toUpperCase()) || null;
+  }
+  if (size) {
+    const matches = this.variants.filter(item =>
+      Array.from(item.options.entries()).some(([name, value]) => isSizeAxis(name) && value === size)
+    );
+    return matches.length === 1 ? matches[0] : null;
+  }
+  return null;
+};
+
+productSchema.methods.getVariantPrice = function(variant) {
+  return variant && variant.price !== undefined && variant.price !== null
+    ? variant.price
+    : this.price;
+};
+
+// Available, reserved and on-hand units for the product or one of its variants
+productSchema.methods.getInventory = function(variant) {
+  const source = variant || this;
+  const reserved = source.reserved || 0;
+  return { available: source.stock, reserved, onHand: source.stock + reserved };
+};
+
+// Shipping weight of one unit, in kg
+productSchema.methods.getShippingWeight = function(variant) {
+  return (variant && variant.weight !== undefined && variant.weight !== null ? variant.weight : this.weight) || 0;
+};
+
+productSchema.methods.getVariantLabel = function(variant) {
+  if (!variant) return '';
+  return Array.from(variant.options.values()).join(' / ');
+};
+
+// Size values across variants, for the legacy `sizes` list
+productSchema.statics.variantSizes = variantSizes;
+
+// Build every combination of the given option axes
+productSchema.statics.combineOptions = function(options = []) {
+  return options.reduce((combinations, option) => {
+    const result = [];
+    combinations.forEach(combination => {
+      option.values.forEach(value => {
+        result.push({ ...combination, [option.name]: value });
+      });
+    });
+    return result;
+  }, [{}]).filter(combination => Object.keys(combination).length > 0);
+};
+
+productSchema.statics.buildVariantSku = function(productName, optionValues = {}) {
+  return [productName, ...Object.values(optionValues)]
+    .map(part => slugify(String(part), { strict: true }).toUpperCase())
+    .filter(Boolean)
+    .join('-');
+};
+
+// Products saved before galleries existed only have `image`; expose it as a gallery
+const withGallery = (doc, ret) => {
+  if ((!ret.images || ret.images.length === 0) && ret.image) {
+    ret.images = [{ url: ret.image, alt: ret.name, isPrimary: true, position: 0, variants: [] }];
+  }
+  return ret;
+};
+
+productSchema.set('toJSON', { transform: withGallery });
+productSchema.set('toObject', { transform: withGallery });
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product; 
\ No newline at end of file
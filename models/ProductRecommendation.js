@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Precomputed "frequently bought together" list for one product,
+// rebuilt from order history by the recommendations job
+const productRecommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  frequentlyBoughtTogether: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Orders containing both products
+    count: {
+      type: Number,
+      required: true
+    },
+    // Share of this product's orders that also contained the other product
+    confidence: {
+      type: Number,
+      required: true
+    }
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ProductRecommendation', productRecommendationSchema);
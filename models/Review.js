@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  comment: {
+    type: String,
+    required: [true, 'Review text is required'],
+    trim: true,
+    maxlength: [2000, 'Review cannot be more than 2000 characters']
+  },
+  // Set when the reviewer has a delivered order containing the product
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  moderationNote: {
+    type: String
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// Recalculate the approved rating average and count stored on the product
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      rating: {
+        average: stats ? Math.round(stats.average * 10) / 10 : 0,
+        count: stats ? stats.count : 0
+      }
+    }
+  );
+};
+
+// Add method to toggle a helpful vote. Votes are added or removed atomically so
+// concurrent votes never overwrite each other; resolves to the updated review.
+reviewSchema.methods.toggleHelpful = async function(userId) {
+  const Review = this.constructor;
+  const updated = await Review.findOneAndUpdate(
+    { _id: this._id, helpfulVotes: { $ne: userId } },
+    { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+    { new: true }
+  ) || await Review.findOneAndUpdate(
+    { _id: this._id, helpfulVotes: userId },
+    { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+    { new: true }
+  );
+  return updated || this;
+};
+
+reviewSchema.post('save', async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateProductRating(this.product);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Search terms that returned no products, aggregated per normalized term
+const searchLogSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  count: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  lastFilters: {
+    type: Object,
+    default: {}
+  },
+  firstSearchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+searchLogSchema.index({ count: -1 });
+searchLogSchema.index({ lastSearchedAt: -1 });
+
+// Record a search that came back empty
+searchLogSchema.statics.recordZeroResult = function(term, filters = {}) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { term: term.toLowerCase().trim() },
+    {
+      $inc: { count: 1 },
+      $set: { lastSearchedAt: now, lastFilters: filters },
+      $setOnInsert: { firstSearchedAt: now }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('SearchLog', searchLogSchema);
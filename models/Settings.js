@@ -70,9 +70,61 @@ const settingsSchema = new mongoose.Schema({
   maintenanceMode: {
     type: Boolean,
     default: false
+  },
+  inventory: {
+    // Default low-stock level; products and categories may override it
+    lowStockThreshold: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    // Send admins a daily email of items that dropped below their threshold
+    lowStockDigest: {
+      type: Boolean,
+      default: true
+    },
+    lastLowStockDigestAt: {
+      type: Date
+    },
+    // How long checkout holds stock for a customer who has not paid yet
+    reservationMinutes: {
+      type: Number,
+      default: 15,
+      min: 1,
+      max: 24 * 60
+    }
+  },
+  abandonedCheckout: {
+    // Email customers who started checkout and left without ordering
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Reminder sequence. Each delay counts from the customer's last cart activity;
+    // a coupon code, when set, is offered in that reminder.
+    reminders: {
+      type: [{
+        delayHours: {
+          type: Number,
+          required: true,
+          min: 0.25
+        },
+        couponCode: {
+          type: String,
+          trim: true,
+          uppercase: true
+        }
+      }],
+      default: () => [{ delayHours: 1 }, { delayHours: 24 }, { delayHours: 72 }]
+    }
   }
 }, {
   timestamps: true
 });
 
+// The single settings document, created with defaults on first use
+settingsSchema.statics.getSettings = async function() {
+  return (await this.findOne()) || this.create({});
+};
+
 module.exports = mongoose.model('Settings', settingsSchema); 
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const SHIPPING_METHODS = ['standard', 'express', 'pickup'];
+const RATE_TYPES = ['flat', 'weight', 'price'];
+
+// Rate step for weight-based (kg) or price-tiered (order subtotal) methods.
+// The step with the highest `from` not above the order's weight or subtotal applies.
+const rateTierSchema = new mongoose.Schema({
+  from: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: {
+      values: SHIPPING_METHODS,
+      message: 'Method must be standard, express or pickup'
+    },
+    required: true
+  },
+  // Name shown at checkout and in emails, e.g. "Express (DHL)"
+  name: {
+    type: String,
+    trim: true
+  },
+  rateType: {
+    type: String,
+    enum: {
+      values: RATE_TYPES,
+      message: 'Rate type must be flat, weight or price'
+    },
+    default: 'flat'
+  },
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tiers: [rateTierSchema],
+  // Orders at or above this subtotal (after discounts) ship free with this method
+  freeAbove: {
+    type: Number,
+    min: 0
+  },
+  // Business days from order to delivery
+  minDays: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  maxDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Where a set of shipping methods applies. A zone matches a country (ISO code
+// or name, any case), optionally narrowed to states; a zone with no countries
+// covers everywhere not matched by another zone.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  countries: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  states: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  methods: [shippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ countries: 1 });
+
+shippingZoneSchema.pre('validate', function(next) {
+  const methods = this.methods.map(method => method.method);
+  const duplicate = methods.find((method, index) => methods.indexOf(method) !== index);
+  if (duplicate) {
+    this.invalidate('methods', `A zone can only have one ${duplicate} method`);
+  }
+  const tiered = this.methods.find(method => method.rateType !== 'flat' && method.tiers.length === 0);
+  if (tiered) {
+    this.invalidate('methods', `The ${tiered.method} method needs at least one rate tier`);
+  }
+  next();
+});
+
+// How closely the zone matches an address: 2 for its state, 1 for its country,
+// 0 for a catch-all zone, -1 when it does not apply
+shippingZoneSchema.methods.matchScore = function({ country, state } = {}) {
+  if (this.countries.length === 0) return 0;
+  if (!country || !this.countries.includes(String(country).trim().toUpperCase())) return -1;
+  if (this.states.length === 0) return 1;
+  return state && this.states.includes(String(state).trim().toUpperCase()) ? 2 : -1;
+};
+
+shippingZoneSchema.statics.METHODS = SHIPPING_METHODS;
+shippingZoneSchema.statics.RATE_TYPES = RATE_TYPES;
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
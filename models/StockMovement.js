@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of every stock change. `quantity` is signed: negative for
+// stock leaving (sales), positive for stock coming back or being added.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant subdocument id, when the product has variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  type: {
+    type: String,
+    required: true,
+    // reservation/release: units held for, and returned from, checkouts awaiting payment
+    enum: ['sale', 'cancellation', 'return', 'adjustment', 'import', 'reservation', 'release']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'Quantity must be a non-zero whole number'
+    }
+  },
+  // Stock of the product (or variant) right after this movement
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Admin or customer who caused the movement; empty for guest checkouts and jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+// Movements are never edited or removed; corrections are new movements
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  stockMovementSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Stock held for a checkout until it is paid for or the hold runs out.
+// The units are taken out of the product's `stock` and counted in `reserved`
+// while the reservation is active.
+const stockReservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant subdocument id, when the product has variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Checkout quote the hold was made for; the order claims it when placed
+  quoteId: {
+    type: String
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // When the hold was converted to a sale or given back
+  closedAt: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ quoteId: 1 });
+stockReservationSchema.index({ order: 1 });
+stockReservationSchema.index({ cart: 1, status: 1 });
+stockReservationSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
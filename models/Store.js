@@ -19,12 +19,18 @@ const storeSchema = new mongoose.Schema({
     enum: ['USD', 'EUR', 'GBP'],
     default: 'USD'
   },
+  // Tax rate used when no tax rules are set up
   taxRate: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
+  // Whether catalog prices already include tax (tax is then worked out of them)
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
   shippingCost: {
     type: Number,
     default: 0,
@@ -61,4 +67,9 @@ const storeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// The store whose settings apply to the storefront and checkout (the first one set up)
+storeSchema.statics.getCurrent = function() {
+  return this.findOne().sort({ createdAt: 1 });
+};
+
 module.exports = mongoose.model('Store', storeSchema); 
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Every change to a user's store-credit balance; corrections are new entries
+const storeCreditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['refund', 'adjustment', 'order_payment', 'order_cancelled'],
+    required: true
+  },
+  // Signed change: positive adds credit, negative spends it
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: value => value !== 0,
+      message: 'Amount cannot be zero'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+storeCreditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Store credit transactions are append-only'));
+};
+
+storeCreditTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  storeCreditTransactionSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
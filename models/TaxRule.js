@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const TAX_CLASSES = ['standard', 'reduced', 'exempt'];
+
+// Tax rate for one product tax class in a region. A rule covers a country,
+// optionally narrowed to a state and/or postal code prefix; the most specific
+// matching rule wins. Exempt products are never taxed.
+const taxRuleSchema = new mongoose.Schema({
+  // Label on invoices and in the tax report, e.g. "CA State Tax" or "VAT"
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // ISO code or name, matched case-insensitively against the shipping address
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+    uppercase: true
+  },
+  state: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  postalPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  taxClass: {
+    type: String,
+    enum: {
+      values: TAX_CLASSES.filter(taxClass => taxClass !== 'exempt'),
+      message: 'Tax class must be standard or reduced'
+    },
+    default: 'standard'
+  },
+  // Percentage, e.g. 8.25
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot be more than 100']
+  },
+  // Whether shipping is taxed at this rule's rate (standard-class rules only)
+  appliesToShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 }, { unique: true });
+
+// How closely the rule matches an address, or -1 when it does not apply
+taxRuleSchema.methods.matchScore = function({ country, state, postalCode } = {}) {
+  const normalize = value => String(value || '').trim().toUpperCase();
+  if (normalize(country) !== this.country) return -1;
+  if (this.state && normalize(state) !== this.state) return -1;
+  if (this.postalPrefix && !normalize(postalCode).replace(/\s/g, '').startsWith(this.postalPrefix.replace(/\s/g, ''))) {
+    return -1;
+  }
+  return 1 + (this.state ? 1 : 0) + (this.postalPrefix ? 2 : 0);
+};
+
+taxRuleSchema.statics.TAX_CLASSES = TAX_CLASSES;
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -54,6 +54,12 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  // Spendable at checkout; every change is recorded as a StoreCreditTransaction
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Specific variant the customer picked, if any
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Price when saved, so the list can show what has changed since
+  priceWhenAdded: {
+    type: Number
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A named list of saved products. Every user has one default list and may add more.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot be more than 60 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  items: [wishlistItemSchema],
+  // Public lists can be viewed by anyone with the share link
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Email the owner about items in this list
+  notifications: {
+    onSale: {
+      type: Boolean,
+      default: true
+    },
+    lowStock: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ 'items.product': 1 });
+
+// Public lists get a share token the first time they are shared
+wishlistSchema.pre('save', function(next) {
+  if (this.isPublic && !this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+  }
+  next();
+});
+
+// The user's default list, created on first use
+wishlistSchema.statics.getDefault = async function(userId) {
+  const existing = await this.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+  return this.create({ user: userId, name: 'My Wishlist', isDefault: true });
+};
+
+wishlistSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item =>
+    item.product.equals(productId) && String(item.variant || '') === String(variantId || '')
+  );
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../middleware/auth');
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const Store = require('../models/Store');
+const { getPagination, escapeRegex } = require('../utils/productQuery');
+
+router.use(express.json());
+
+const dateRange = (query) => {
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from);
+  if (query.to) range.$lte = new Date(query.to);
+  return range;
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// List abandoned checkouts, newest first.
+// Filter with ?status=pending|recovered|closed, ?email= and ?from=&to= (abandoned dates)
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.email) {
+      filter.email = { $regex: escapeRegex(req.query.email), $options: 'i' };
+    }
+    if (req.query.from || req.query.to) filter.abandonedAt = dateRange(req.query);
+
+    const pagination = getPagination(req.query, 20);
+    const [checkouts, total] = await Promise.all([
+      AbandonedCheckout.find(filter)
+        .select('-restoreToken')
+        .populate('order', 'totalAmount status createdAt')
+        .sort({ abandonedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      AbandonedCheckout.countDocuments(filter)
+    ]);
+
+    res.json({
+      checkouts,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total,
+      limit: pagination.limit
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const emptyTotals = {
+  abandoned: 0, abandonedValue: 0, remindersSent: 0, restored: 0, recovered: 0, recoveredRevenue: 0
+};
+
+const roundTotals = totals => ({
+  ...totals,
+  abandonedValue: Math.round(totals.abandonedValue * 100) / 100,
+  recoveredRevenue: Math.round(totals.recoveredRevenue * 100) / 100
+});
+
+// Recovery rate of abandoned checkouts that were sent a reminder, overall and by the
+// number of reminders sent before the order came in. Checkouts ordered before any
+// reminder went out are reported apart under `notEmailed`. Amounts are in the store currency.
+// Narrow with ?from=&to= (abandoned dates).
+router.get('/report', protect, admin, async (req, res) => {
+  try {
+    const match = req.query.from || req.query.to ? { abandonedAt: dateRange(req.query) } : {};
+
+    const [report] = await AbandonedCheckout.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: { $gt: ['$remindersSent', 0] },
+                abandoned: { $sum: 1 },
+                abandonedValue: { $sum: '$subtotal' },
+                remindersSent: { $sum: '$remindersSent' },
+                restored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+                recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+                recoveredRevenue: {
+                  $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, { $ifNull: ['$recoveredAmount', 0] }, 0] }
+                }
+              }
+            }
+          ],
+          byReminder: [
+            { $match: { status: 'recovered', remindersSent: { $gt: 0 } } },
+            {
+              $group: {
+                _id: '$remindersSent',
+                recovered: { $sum: 1 },
+                revenue: { $sum: { $ifNull: ['$recoveredAmount', 0] } }
+              }
+            },
+            { $project: { _id: 0, remindersSent: '$_id', recovered: 1, revenue: { $round: ['$revenue', 2] } } },
+            { $sort: { remindersSent: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const groupFor = emailed => {
+      const { _id, ...totals } = report.totals.find(group => group._id === emailed) || emptyTotals;
+      return roundTotals(totals);
+    };
+    const emailed = groupFor(true);
+    const notEmailed = groupFor(false);
+    const store = await Store.getCurrent();
+
+    res.json({
+      currency: store?.currency || 'USD',
+      abandoned: emailed.abandoned + notEmailed.abandoned,
+      emailed: emailed.abandoned,
+      abandonedValue: emailed.abandonedValue,
+      remindersSent: emailed.remindersSent,
+      restored: emailed.restored,
+      recovered: emailed.recovered,
+      recoveredRevenue: emailed.recoveredRevenue,
+      recoveryRate: percent(emailed.recovered, emailed.abandoned),
+      restoreRate: percent(emailed.restored, emailed.abandoned),
+      byReminder: report.byReminder,
+      notEmailed: {
+        abandoned: notEmailed.abandoned,
+        abandonedValue: notEmailed.abandonedValue,
+        recovered: notEmailed.recovered,
+        recoveredRevenue: notEmailed.recoveredRevenue
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -105,6 +105,7 @@ router.put('/settings/store', protect, admin, async (req, res) => {
       storeDescription,
       currency,
       taxRate,
+      pricesIncludeTax,
       shippingCost,
       freeShippingThreshold,
       contactEmail,
@@ -120,6 +121,7 @@ router.put('/settings/store', protect, admin, async (req, res) => {
       store.storeDescription = storeDescription;
       store.currency = currency;
       store.taxRate = taxRate;
+      if (pricesIncludeTax !== undefined) store.pricesIncludeTax = pricesIncludeTax;
       store.shippingCost = shippingCost;
       store.freeShippingThreshold = freeShippingThreshold;
       store.contactEmail = contactEmail;
@@ -133,6 +135,7 @@ router.put('/settings/store', protect, admin, async (req, res) => {
         storeDescription,
         currency,
         taxRate,
+        pricesIncludeTax,
         shippingCost,
         freeShippingThreshold,
         contactEmail,
@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
 const { OAuth2Client } = require('google-auth-library');
+const { mergeCartOnLogin } = require('../utils/cart');
 
 console.log('=== Auth Routes Module Loaded ===');
 
@@ -65,6 +66,9 @@ router.post('/register', async (req, res) => {
       maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
     });
 
+    // Keep whatever the visitor put in their cart before signing up
+    await mergeCartOnLogin(req, res, user);
+
     console.log('User registered successfully:', { userId: user._id, email: user.email });
 
     res.status(201).json({
@@ -193,6 +197,9 @@ router.post('/login', async (req, res) => {
       maxAge: 24 * 60 * 60 * 1000 // 24 hours
     });
 
+    // Bring the guest cart along
+    await mergeCartOnLogin(req, res, user);
+
     // Remove password from user object before sending response
     const userResponse = {
       id: user._id,
@@ -299,6 +306,9 @@ router.post('/google', async (req, res) => {
       maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
     });
 
+    // Bring the guest cart along
+    await mergeCartOnLogin(req, res, user);
+
     // Send response
     res.json({
       token,
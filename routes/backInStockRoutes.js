@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, optionalProtect, admin } = require('../middleware/auth');
+const BackInStockSubscription = require('../models/BackInStockSubscription');
+const Product = require('../models/Product');
+const { getPagination } = require('../utils/productQuery');
+
+router.use(express.json());
+
+// Ask to be emailed when a sold-out product or variant returns.
+// Body: { product, variant | sku | size, email } — email defaults to the logged-in user's.
+router.post('/', optionalProtect, async (req, res) => {
+  try {
+    const email = req.body.email || req.user?.email;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.body.product)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product || product.status !== 'active') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.findVariant(req.body);
+      if (!variant) {
+        return res.status(400).json({ message: `Please select a valid option for ${product.name}` });
+      }
+    }
+
+    const available = variant ? variant.stock : product.stock;
+    if (available > 0) {
+      return res.status(400).json({ message: 'This item is in stock' });
+    }
+
+    // Subscribing twice keeps the existing subscription
+    const existing = await BackInStockSubscription.findOne({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      email: email.toLowerCase().trim(),
+      status: 'active'
+    });
+    if (existing) {
+      return res.json({ message: 'You are already on the list for this item', subscription: existing });
+    }
+
+    const subscription = await BackInStockSubscription.create({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      email,
+      user: req.user?._id
+    });
+
+    res.status(201).json({ message: "We'll email you when it's back in stock", subscription });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// The logged-in user's active subscriptions
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const subscriptions = await BackInStockSubscription.find({
+      $or: [{ user: req.user._id }, { email: req.user.email }],
+      status: 'active'
+    })
+      .populate('product', 'name slug image price')
+      .sort({ createdAt: -1 });
+
+    res.json(subscriptions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Most requested sold-out items (admin only)
+router.get('/admin', protect, admin, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, 20);
+    const [demand, totals] = await Promise.all([
+      BackInStockSubscription.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: { product: '$product', variant: '$variant' }, subscribers: { $sum: 1 } } },
+        { $sort: { subscribers: -1 } },
+        { $skip: pagination.skip },
+        { $limit: pagination.limit }
+      ]),
+      BackInStockSubscription.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: { product: '$product', variant: '$variant' } } },
+        { $count: 'total' }
+      ])
+    ]);
+
+    const products = await Product.find({ _id: { $in: demand.map(item => item._id.product) } })
+      .select('name slug sku stock variants');
+    const items = demand.map(item => {
+      const product = products.find(candidate => candidate._id.equals(item._id.product));
+      const variant = product && item._id.variant ? product.variants.id(item._id.variant) : null;
+      return {
+        product: product ? { _id: product._id, name: product.name, slug: product.slug } : { _id: item._id.product },
+        variant: item._id.variant,
+        sku: variant ? variant.sku : product?.sku,
+        label: product ? product.getVariantLabel(variant) : '',
+        stock: variant ? variant.stock : product?.stock,
+        subscribers: item.subscribers
+      };
+    });
+
+    const total = totals[0]?.total || 0;
+    res.json({
+      items,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unsubscribe with the token from the subscription (works for guests)
+router.delete('/:token', async (req, res) => {
+  try {
+    const subscription = await BackInStockSubscription.findOneAndUpdate(
+      { token: req.params.token, status: 'active' },
+      { status: 'unsubscribed' },
+      { new: true }
+    );
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    res.json({ message: 'You will no longer be notified about this item' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
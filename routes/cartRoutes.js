@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, optionalProtect } = require('../middleware/auth');
+const {
+  getCartToken,
+  setCartCookie,
+  clearCartCookie,
+  findCart,
+  findOrCreateCart,
+  refreshCart,
+  addCartItem,
+  updateCartItem,
+  presentCart,
+  mergeGuestCart
+} = require('../utils/cart');
+const { restoreAbandonedCheckout } = require('../utils/abandonedCheckouts');
+
+router.use(express.json());
+
+const handleCartError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// Save the cart and hand the guest token back so later requests find it
+const saveAndRespond = async (req, res, cart, notices, status = 200) => {
+  await cart.save();
+  if (!cart.user) {
+    setCartCookie(res, cart.token);
+    res.setHeader('X-Cart-Token', cart.token);
+  }
+  res.status(status).json(await presentCart(cart, notices));
+};
+
+// Get the current cart, re-checked against the catalog
+router.get('/', optionalProtect, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.json({ items: [], itemCount: 0, subtotal: 0, notices: [] });
+    }
+
+    const notices = await refreshCart(cart);
+    if (notices.length > 0) {
+      await cart.save();
+    }
+    res.json(await presentCart(cart, notices));
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Add an item. Body: { product, variant | sku | size, quantity }
+router.post('/items', optionalProtect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.body.product)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const cart = await findOrCreateCart(req);
+    const notices = await refreshCart(cart);
+    await addCartItem(cart, req.body);
+
+    await saveAndRespond(req, res, cart, notices, 201);
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Change an item's quantity. Body: { quantity } (0 removes the item)
+router.put('/items/:itemId', optionalProtect, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    await updateCartItem(cart, req.params.itemId, req.body.quantity);
+    const notices = await refreshCart(cart);
+
+    await saveAndRespond(req, res, cart, notices);
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Remove an item
+router.delete('/items/:itemId', optionalProtect, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    item.deleteOne();
+    const notices = await refreshCart(cart);
+
+    await saveAndRespond(req, res, cart, notices);
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Empty the cart
+router.delete('/', optionalProtect, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.json({ items: [], itemCount: 0, subtotal: 0, notices: [] });
+    }
+
+    cart.items = [];
+    await saveAndRespond(req, res, cart, []);
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Merge a guest cart into the signed-in user's cart. Login does this automatically;
+// clients that keep the token themselves can send it here as { token } instead.
+router.post('/merge', protect, async (req, res) => {
+  try {
+    const token = req.body.token || getCartToken(req);
+    if (await mergeGuestCart(token, req.user._id)) {
+      clearCartCookie(res);
+    }
+
+    const cart = await findOrCreateCart(req);
+    const notices = await refreshCart(cart);
+    await saveAndRespond(req, res, cart, notices);
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+// Restore the cart from an abandoned checkout reminder link. The coupon offered
+// in the reminder, if any, comes back as `couponCode` for the checkout form.
+router.post('/restore/:token', optionalProtect, async (req, res) => {
+  try {
+    const { cart, notices, couponCode } = await restoreAbandonedCheckout(req.params.token, req);
+    if (!cart.user) {
+      setCartCookie(res, cart.token);
+      res.setHeader('X-Cart-Token', cart.token);
+    }
+    res.json({ ...(await presentCart(cart, notices)), couponCode });
+  } catch (error) {
+    handleCartError(res, error);
+  }
+});
+
+module.exports = router;
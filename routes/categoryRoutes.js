@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const {
+  PUBLIC_STATUS,
+  buildProductFilter,
+  buildProductSort,
+  getPagination,
+  paginatedResponse
+} = require('../utils/productQuery');
+
+router.use(express.json());
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'parent', 'image', 'position', 'isActive', 'reorderThreshold', 'seo'];
+
+const pickCategoryFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key] === '' && key === 'parent' ? null : body[key];
+  return fields;
+}, {});
+
+const handleCategoryError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A category with this slug already exists' });
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Attach product counts to each category, including products in its descendants.
+// Storefront counts only include active products.
+const withProductCounts = async (categories, match = { status: PUBLIC_STATUS }) => {
+  const counts = await Product.aggregate([
+    { $match: match },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+  const ownCounts = new Map(counts.map(item => [String(item._id), item.count]));
+
+  return categories.map(category => {
+    const id = String(category._id);
+    const productCount = categories.reduce((sum, other) => {
+      const inSubtree = String(other._id) === id || other.ancestors.some(ancestor => String(ancestor) === id);
+      return inSubtree ? sum + (ownCounts.get(String(other._id)) || 0) : sum;
+    }, 0);
+
+    return { ...category, productCount, ownProductCount: ownCounts.get(id) || 0 };
+  });
+};
+
+// Get the category tree (or ?flat=true for a flat list) with product counts
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .sort({ position: 1, name: 1 })
+      .lean();
+    const counted = await withProductCounts(categories);
+
+    res.json(req.query.flat === 'true' ? counted : Category.buildTree(counted));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get every category including inactive ones (admin only)
+router.get('/admin', protect, admin, async (req, res) => {
+  try {
+    const categories = await Category.find()
+      .sort({ position: 1, name: 1 })
+      .lean();
+    res.json(Category.buildTree(await withProductCounts(categories, {})));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a category by slug or id with breadcrumbs and children
+router.get('/:identifier', async (req, res) => {
+  try {
+    const category = await Category.findByIdentifier(req.params.identifier)
+      .populate('ancestors', 'name slug');
+    if (!category || !category.isActive) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [children, categoryIds] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true })
+        .select('name slug image position')
+        .sort({ position: 1, name: 1 }),
+      Category.expandIds([category._id.toString()])
+    ]);
+    const productCount = await Product.countDocuments({ category: { $in: categoryIds }, status: PUBLIC_STATUS });
+
+    res.json({
+      ...category.toObject(),
+      breadcrumbs: [...category.ancestors, { _id: category._id, name: category.name, slug: category.slug }],
+      children,
+      productCount
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get products in a category and all of its descendants.
+// Accepts the same filters and sort options as GET /api/products.
+router.get('/:identifier/products', async (req, res) => {
+  try {
+    const category = await Category.findByIdentifier(req.params.identifier);
+    if (!category || !category.isActive) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const query = await buildProductFilter({ ...req.query, category: category._id.toString() });
+    const pagination = getPagination(req.query);
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .populate('category', 'name slug')
+        .sort(buildProductSort(req.query.sort))
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Product.countDocuments(query)
+    ]);
+
+    res.json({
+      category: { _id: category._id, name: category.name, slug: category.slug },
+      ...paginatedResponse(products, total, pagination)
+    });
+  } catch (error) {
+    console.error('Error fetching category products:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a category (admin only)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const category = await Category.create(pickCategoryFields(req.body));
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    handleCategoryError(res, error);
+  }
+});
+
+// Update or move a category (admin only)
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    category.set(pickCategoryFields(req.body));
+    await category.save();
+    res.json(category);
+  } catch (error) {
+    console.error('Error updating category:', error);
+    handleCategoryError(res, error);
+  }
+});
+
+// Delete a category (admin only).
+// Products and children must be moved first, or pass ?reassignTo=<id|slug>.
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category._id })
+    ]);
+
+    if (childCount > 0 || productCount > 0) {
+      const target = await Category.findByIdentifier(req.query.reassignTo);
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          message: 'Category still has products or subcategories. Provide reassignTo to move them.',
+          childCount,
+          productCount
+        });
+      }
+      // Checked before anything moves, so a rejected request changes nothing
+      if (target.ancestors.some(id => id.equals(category._id))) {
+        return res.status(400).json({ message: 'Cannot reassign to a subcategory of the category being deleted' });
+      }
+
+      await Product.updateMany({ category: category._id }, { category: target._id });
+
+      // Move children one by one so their subtrees are re-parented
+      const children = await Category.find({ parent: category._id });
+      for (const child of children) {
+        child.parent = target._id;
+        await child.save();
+      }
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { optionalProtect } = require('../middleware/auth');
+const Store = require('../models/Store');
+const { findCart, refreshCart } = require('../utils/cart');
+const { buildQuote } = require('../utils/pricing');
+const { resolveOrderItems } = require('../utils/inventory');
+const { getShippingRates } = require('../utils/shipping');
+const { reserveItems, releaseReservations } = require('../utils/reservations');
+const { getCurrencyContext, convertAmount } = require('../utils/currency');
+const { parseList } = require('../utils/productQuery');
+
+router.use(express.json());
+
+const handleCheckoutError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+const cartItems = cart => cart.items.map(item => ({
+  product: item.product,
+  variant: item.variant || undefined,
+  quantity: item.quantity
+}));
+
+// Shipping options for the items (or the current cart) going to an address.
+// Body: { items?, shippingAddress, currency? }. Free-shipping thresholds are checked
+// before coupons; the quote has the final shipping price.
+router.post('/shipping-rates', optionalProtect, async (req, res) => {
+  try {
+    let { items } = req.body;
+    if (!items) {
+      const cart = await findCart(req);
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ message: 'Your cart is empty' });
+      }
+      items = cartItems(cart);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Order must contain at least one item' });
+    }
+
+    const [lines, store, currency] = await Promise.all([
+      resolveOrderItems(items, { checkStock: false }),
+      Store.getCurrent(),
+      getCurrencyContext(req.body.currency || req.query.currency)
+    ]);
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const rates = await getShippingRates({ lines, subtotal, address: req.body.shippingAddress, store });
+
+    res.json({
+      currency: currency.currency,
+      rates: rates.map(rate => ({ ...rate, price: convertAmount(rate.price, currency) }))
+    });
+  } catch (error) {
+    handleCheckoutError(res, error);
+  }
+});
+
+// Price the order before it is placed.
+// Body: { items?, couponCodes?, shippingAddress, shippingMethod?, customerEmail?, currency? }.
+// Without items the current cart is quoted. The returned token goes with POST /api/orders.
+// A quoted cart's stock is held until `reservedUntil`; quoting the cart again replaces
+// the hold. Quotes for explicit items hold nothing; their stock is taken when the order is placed.
+router.post('/quote', optionalProtect, async (req, res) => {
+  try {
+    let { items } = req.body;
+    let cart = null;
+    let notices = [];
+    const email = req.body.customerEmail || req.user?.email;
+
+    if (!items) {
+      cart = await findCart(req);
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ message: 'Your cart is empty' });
+      }
+      await releaseReservations({ cart: cart._id }, { reason: 'Checkout quoted again' });
+      notices = await refreshCart(cart);
+      // Remember who is checking out, for the abandoned checkout reminders
+      if (email) cart.checkout.email = email;
+      if (!cart.checkout.startedAt) cart.checkout.startedAt = new Date();
+      await cart.save();
+      items = cartItems(cart);
+    }
+
+    const quote = await buildQuote({
+      items,
+      couponCodes: parseList(req.body.couponCodes || req.body.couponCode),
+      shippingAddress: req.body.shippingAddress,
+      shippingMethod: req.body.shippingMethod,
+      user: req.user,
+      email,
+      cart,
+      currency: await getCurrencyContext(req.body.currency || req.query.currency)
+    });
+
+    // Only carts hold stock: each cart has at most one hold, so re-quoting cannot stack them
+    const reservedUntil = cart
+      ? await reserveItems(quote.items, { quoteId: quote.quoteId, cart: cart._id, actor: req.user?._id })
+      : null;
+
+    res.json({ ...quote, reservedUntil, notices });
+  } catch (error) {
+    handleCheckoutError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { protect, admin } = require('../middleware/auth');
+const Collection = require('../models/Collection');
+const Product = require('../models/Product');
+
+router.use(express.json());
+
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'heroImage',
+  'type',
+  'products',
+  'rules',
+  'match',
+  'sortOrder',
+  'position',
+  'isActive'
+];
+
+const pickCollectionFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const handleCollectionError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A collection with this slug already exists' });
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Get active collections for navigation
+router.get('/', async (req, res) => {
+  try {
+    const collections = await Collection.find({ isActive: true })
+      .select('name slug description heroImage type position')
+      .sort({ position: 1, name: 1 });
+    res.json(collections);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all collections including inactive ones, with product counts (admin only)
+router.get('/admin', protect, admin, async (req, res) => {
+  try {
+    const collections = await Collection.find().sort({ position: 1, name: 1 });
+    const withCounts = await Promise.all(collections.map(async (collection) => ({
+      ...collection.toObject(),
+      productCount: await Product.countDocuments(await collection.buildProductQuery())
+    })));
+    res.json(withCounts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single collection with its manual picks (admin only)
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id)
+      .populate('products', 'name price image stock');
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    res.json(collection);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a collection (admin only)
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const collection = await Collection.create(pickCollectionFields(req.body));
+    res.status(201).json(collection);
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    handleCollectionError(res, error);
+  }
+});
+
+// Update a collection (admin only)
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    collection.set(pickCollectionFields(req.body));
+    await collection.save();
+    res.json(collection);
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    handleCollectionError(res, error);
+  }
+});
+
+// Delete a collection (admin only)
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const collection = await Collection.findByIdAndDelete(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
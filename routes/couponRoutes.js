@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const { getPagination, escapeRegex } = require('../utils/productQuery');
+const { baseAmountExpr } = require('../utils/currency');
+
+router.use(express.json());
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'minimumSpend',
+  'products',
+  'categories',
+  'usageLimit',
+  'usageLimitPerCustomer',
+  'startsAt',
+  'endsAt',
+  'isActive',
+  'stackable'
+];
+
+// Empty strings clear optional limits and dates
+const pickCouponFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key] === '' ? undefined : body[key];
+  return fields;
+}, {});
+
+const handleCouponError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid ${error.path}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A coupon with this code already exists' });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// Orders that count towards coupon reports
+const COUNTED_ORDERS = { status: { $nin: ['cancelled', 'dismissed'] } };
+
+// List coupons. Filter with ?search=<code> and ?active=true|false
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.search) {
+      filter.code = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    }
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const pagination = getPagination(req.query, 20);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      coupons,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total,
+      limit: pagination.limit
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Discount attribution per coupon: orders, discount given and revenue, in the store currency.
+// Narrow with ?from=&to= (order dates) and ?code=
+router.get('/report', protect, admin, async (req, res) => {
+  try {
+    const match = { ...COUNTED_ORDERS, 'discounts.0': { $exists: true } };
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const discountMatch = req.query.code ? { 'discounts.code': String(req.query.code).toUpperCase() } : {};
+
+    const report = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$discounts' },
+      { $match: discountMatch },
+      {
+        $group: {
+          _id: '$discounts.coupon',
+          code: { $first: '$discounts.code' },
+          type: { $first: '$discounts.type' },
+          orders: { $sum: 1 },
+          discountTotal: { $sum: baseAmountExpr('$discounts.amount') },
+          revenue: { $sum: baseAmountExpr('$totalAmount') },
+          customers: { $addToSet: { $toLower: '$customerEmail' } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          coupon: '$_id',
+          code: 1,
+          type: 1,
+          orders: 1,
+          discountTotal: { $round: ['$discountTotal', 2] },
+          revenue: { $round: ['$revenue', 2] },
+          customers: { $size: '$customers' }
+        }
+      },
+      { $sort: { discountTotal: -1 } }
+    ]);
+
+    const store = await Store.getCurrent();
+    res.json({
+      currency: store?.currency || 'USD',
+      coupons: report,
+      totals: {
+        orders: report.reduce((sum, row) => sum + row.orders, 0),
+        discountTotal: Math.round(report.reduce((sum, row) => sum + row.discountTotal, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('products', 'name slug')
+      .populate('categories', 'name slug');
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.create({ ...pickCouponFields(req.body), createdBy: req.user._id });
+    res.status(201).json(coupon);
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+});
+
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+});
+
+// Delete an unused coupon. Used coupons are deactivated instead so reports keep them.
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (await Order.exists({ 'discounts.coupon': coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has been used, so it was deactivated instead of deleted', coupon });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
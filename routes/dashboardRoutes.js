@@ -3,10 +3,13 @@ const router = express.Router();
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
-const { isAdmin } = require('../middleware/auth');
+const Category = require('../models/Category');
+const { protect, admin } = require('../middleware/auth');
+const { findLowStockItems } = require('../utils/lowStock');
+const { parseList, getPagination } = require('../utils/productQuery');
 
 // Get dashboard overview
-router.get('/', isAdmin, async (req, res) => {
+router.get('/', protect, admin, async (req, res) => {
   try {
     const [totalOrders, totalProducts, totalCustomers] = await Promise.all([
       Order.countDocuments(),
@@ -26,7 +29,7 @@ router.get('/', isAdmin, async (req, res) => {
 });
 
 // Get dashboard statistics
-router.get('/stats', isAdmin, async (req, res) => {
+router.get('/stats', protect, admin, async (req, res) => {
   try {
     const [totalOrders, totalProducts, totalCustomers] = await Promise.all([
       Order.countDocuments(),
@@ -46,7 +49,7 @@ router.get('/stats', isAdmin, async (req, res) => {
 });
 
 // Get recent orders
-router.get('/recent-orders', isAdmin, async (req, res) => {
+router.get('/recent-orders', protect, admin, async (req, res) => {
   try {
     const recentOrders = await Order.find()
       .sort({ createdAt: -1 })
@@ -60,12 +63,32 @@ router.get('/recent-orders', isAdmin, async (req, res) => {
   }
 });
 
-// Get low stock products
-router.get('/low-stock-products', isAdmin, async (req, res) => {
+// Get the products running lowest on stock, using each product's reorder threshold
+router.get('/low-stock-products', protect, admin, async (req, res) => {
   try {
-    const lowStockProducts = await Product.find({ stock: { $lt: 10 } })
-      .sort({ stock: 1 })
-      .limit(5);
+    const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+    const items = await findLowStockItems();
+
+    // One entry per product, listing the variants that are running low
+    const productIds = [...new Set(items.map(item => String(item.product._id)))].slice(0, limit);
+    const products = await Product.find({ _id: { $in: productIds } });
+
+    const lowStockProducts = productIds.map(id => {
+      const product = products.find(item => String(item._id) === id);
+      const productItems = items.filter(item => String(item.product._id) === id);
+      return {
+        ...product.toObject(),
+        reorderThreshold: productItems[0].threshold,
+        lowStockVariants: productItems
+          .filter(item => item.variant)
+          .map(item => ({
+            _id: item.variant,
+            sku: item.sku,
+            label: item.label,
+            stock: item.stock
+          }))
+      };
+    });
 
     res.json(lowStockProducts);
   } catch (error) {
@@ -74,4 +97,27 @@ router.get('/low-stock-products', isAdmin, async (req, res) => {
   }
 });
 
+// Full low-stock report: every product or variant below its threshold, lowest stock first.
+// Filter with ?category=<slug|id> and paginate with page/limit.
+router.get('/low-stock-report', protect, admin, async (req, res) => {
+  try {
+    const categories = parseList(req.query.category);
+    const filter = categories.length ? { category: { $in: await Category.expandIds(categories) } } : {};
+
+    const items = await findLowStockItems(filter);
+    const pagination = getPagination(req.query, 50);
+
+    res.json({
+      items: items.slice(pagination.skip, pagination.skip + pagination.limit),
+      currentPage: pagination.page,
+      totalPages: Math.ceil(items.length / pagination.limit),
+      total: items.length,
+      limit: pagination.limit
+    });
+  } catch (error) {
+    console.error('Low stock report error:', error);
+    res.status(500).json({ message: 'Error fetching low stock report' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
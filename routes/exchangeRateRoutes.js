@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { protect, admin } = require('../middleware/auth');
+const ExchangeRate = require('../models/ExchangeRate');
+const Store = require('../models/Store');
+const { parseCsv } = require('../utils/csv');
+
+router.use(express.json());
+
+// Rate files are parsed in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (!file.originalname.match(/\.csv$/i)) {
+      return cb(new Error('Only CSV files are allowed!'), false);
+    }
+    cb(null, true);
+  }
+});
+
+const baseCurrencyOf = async () => (await Store.getCurrent())?.currency || 'USD';
+
+const saveRate = (currency, rate, { source, actor }) => ExchangeRate.findOneAndUpdate(
+  { currency },
+  { $set: { rate, source, updatedBy: actor } },
+  { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+);
+
+// Currencies customers can shop in, with their rates from the base currency
+router.get('/', async (req, res) => {
+  try {
+    const [baseCurrency, rates] = await Promise.all([
+      baseCurrencyOf(),
+      ExchangeRate.find().select('currency rate updatedAt').sort({ currency: 1 })
+    ]);
+    res.json({ baseCurrency, rates });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Set a rate by hand. Body: { rate }
+router.put('/:currency', protect, admin, async (req, res) => {
+  try {
+    const currency = req.params.currency.toUpperCase();
+    const rate = parseFloat(req.body.rate);
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({ message: 'Currency must be a three-letter ISO code' });
+    }
+    if (isNaN(rate) || rate <= 0) {
+      return res.status(400).json({ message: 'Rate must be a number greater than zero' });
+    }
+    if (currency === await baseCurrencyOf()) {
+      return res.status(400).json({ message: `${currency} is the store currency` });
+    }
+
+    const exchangeRate = await saveRate(currency, rate, { source: 'manual', actor: req.user._id });
+    res.json(exchangeRate);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Load rates from a CSV file with `currency` and `rate` columns.
+// Valid rows are saved; the others are reported back with their line numbers.
+router.post('/import', protect, admin, csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const baseCurrency = await baseCurrencyOf();
+    const rows = parseCsv(req.file.buffer.toString('utf8'));
+    const updated = [];
+    const errors = [];
+
+    for (const row of rows) {
+      const currency = String(row.currency || '').toUpperCase();
+      const rate = parseFloat(row.rate);
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        errors.push(`Line ${row._line}: invalid currency "${row.currency || ''}"`);
+      } else if (isNaN(rate) || rate <= 0) {
+        errors.push(`Line ${row._line}: invalid rate "${row.rate || ''}"`);
+      } else if (currency === baseCurrency) {
+        errors.push(`Line ${row._line}: ${currency} is the store currency`);
+      } else {
+        updated.push(await saveRate(currency, rate, { source: 'import', actor: req.user._id }));
+      }
+    }
+
+    res.json({ updated: updated.length, rates: updated, errors });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Stop offering a currency
+router.delete('/:currency', protect, admin, async (req, res) => {
+  try {
+    const removed = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+    if (!removed) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
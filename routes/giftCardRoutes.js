@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const stripe = require('../config/stripe');
+const { protect, optionalProtect, admin } = require('../middleware/auth');
+const GiftCard = require('../models/GiftCard');
+const Store = require('../models/Store');
+const { getPagination, escapeRegex } = require('../utils/productQuery');
+const { normalizeCode, creditGiftCard, activateGiftCard } = require('../utils/giftCards');
+
+router.use(express.json());
+
+const MIN_PURCHASE_AMOUNT = 5;
+const MAX_PURCHASE_AMOUNT = 1000;
+
+const handleGiftCardError = (res, error) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+const findCardById = (id) => (mongoose.Types.ObjectId.isValid(id) ? GiftCard.findById(id) : null);
+
+// Buy a gift card. Body: { amount, recipientEmail, recipientName, message, purchaserEmail }.
+// Returns a Stripe client secret; the card is sent once the payment is confirmed.
+router.post('/purchase', optionalProtect, async (req, res) => {
+  try {
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    if (isNaN(amount) || amount < MIN_PURCHASE_AMOUNT || amount > MAX_PURCHASE_AMOUNT) {
+      return res.status(400).json({
+        message: `Gift card amount must be between ${MIN_PURCHASE_AMOUNT} and ${MAX_PURCHASE_AMOUNT}`
+      });
+    }
+
+    const purchaserEmail = req.body.purchaserEmail || req.user?.email;
+    if (!purchaserEmail) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const store = await Store.getCurrent();
+    const card = new GiftCard({
+      initialBalance: amount,
+      currency: store?.currency || 'USD',
+      status: 'pending',
+      source: 'purchase',
+      purchaser: req.user?._id,
+      purchaserEmail,
+      recipientEmail: req.body.recipientEmail,
+      recipientName: req.body.recipientName,
+      message: req.body.message
+    });
+    await card.validate();
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(amount * 100), // Convert to cents
+      currency: card.currency.toLowerCase(),
+      metadata: { giftCardId: card._id.toString() },
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    });
+    card.paymentIntentId = paymentIntent.id;
+    await card.save();
+
+    res.status(201).json({
+      giftCardId: card._id,
+      amount,
+      clientSecret: paymentIntent.client_secret
+    });
+  } catch (error) {
+    handleGiftCardError(res, error);
+  }
+});
+
+// Activate a bought card once Stripe reports the payment succeeded
+router.post('/purchase/:id/confirm', async (req, res) => {
+  try {
+    const card = await findCardById(req.params.id);
+    if (!card || card.source !== 'purchase') {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    if (card.status !== 'pending') {
+      return res.json({ message: 'Gift card already sent', status: card.status });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(card.paymentIntentId);
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ message: 'Payment has not been completed', paymentStatus: paymentIntent.status });
+    }
+
+    // Only the request that moves the card out of pending issues it and sends the email
+    const claimed = await GiftCard.findOneAndUpdate(
+      { _id: card._id, status: 'pending' },
+      { $set: { status: 'active' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.json({ message: 'Gift card already sent', status: 'active' });
+    }
+
+    await activateGiftCard(claimed);
+    res.json({
+      message: `Gift card sent to ${claimed.recipientEmail || claimed.purchaserEmail}`,
+      status: claimed.status,
+      amount: claimed.initialBalance,
+      expiresAt: claimed.expiresAt
+    });
+  } catch (error) {
+    handleGiftCardError(res, error);
+  }
+});
+
+// Check a card's balance by its code
+router.get('/balance/:code', async (req, res) => {
+  try {
+    const card = await GiftCard.findOne({ code: normalizeCode(req.params.code) });
+    if (!card || card.status === 'pending') {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    res.json({
+      code: card.maskedCode(),
+      balance: card.balance,
+      currency: card.currency,
+      expiresAt: card.expiresAt,
+      usable: card.status === 'active' && !card.isExpired() && card.balance > 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List gift cards. Filter with ?search=<code or email> and ?status=
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.search) {
+      const pattern = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [{ code: pattern }, { recipientEmail: pattern }, { purchaserEmail: pattern }];
+    }
+
+    const pagination = getPagination(req.query, 20);
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .select('-transactions')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      GiftCard.countDocuments(filter)
+    ]);
+
+    res.json({
+      giftCards,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total,
+      limit: pagination.limit
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// A card with its full transaction history
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    const card = await findCardById(req.params.id);
+    if (!card) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    await card.populate('transactions.order', 'customerName totalAmount createdAt');
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Issue a card without payment (goodwill, promotions, refunds).
+// Body: { amount, recipientEmail, recipientName, message, expiresAt }
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const store = await Store.getCurrent();
+    const card = new GiftCard({
+      initialBalance: req.body.amount,
+      currency: store?.currency || 'USD',
+      status: 'pending',
+      source: 'admin',
+      recipientEmail: req.body.recipientEmail,
+      recipientName: req.body.recipientName,
+      message: req.body.message,
+      expiresAt: req.body.expiresAt || undefined,
+      issuedBy: req.user._id
+    });
+
+    await activateGiftCard(card, { actor: req.user._id });
+    res.status(201).json(card);
+  } catch (error) {
+    handleGiftCardError(res, error);
+  }
+});
+
+// Disable or re-enable a card, or change its expiry. Body: { status, expiresAt }
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const card = await findCardById(req.params.id);
+    if (!card) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    if (card.status === 'pending') {
+      return res.status(400).json({ message: 'This gift card has not been paid for yet' });
+    }
+
+    if (req.body.status !== undefined) {
+      if (!['active', 'disabled'].includes(req.body.status)) {
+        return res.status(400).json({ message: 'Status must be active or disabled' });
+      }
+      card.status = req.body.status;
+    }
+    if (req.body.expiresAt !== undefined) {
+      card.expiresAt = req.body.expiresAt || undefined;
+    }
+
+    await card.save();
+    res.json(card);
+  } catch (error) {
+    handleGiftCardError(res, error);
+  }
+});
+
+// Correct a card's balance. Body: { amount (signed), note }
+router.post('/:id/adjust', protect, admin, async (req, res) => {
+  try {
+    const amount = parseFloat(req.body.amount);
+    if (isNaN(amount) || amount === 0) {
+      return res.status(400).json({ message: 'Amount must be a non-zero number' });
+    }
+    if (!req.body.note) {
+      return res.status(400).json({ message: 'A note is required' });
+    }
+
+    const card = await findCardById(req.params.id);
+    if (!card || card.status === 'pending') {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    const updated = await creditGiftCard(card._id, amount, { type: 'adjustment', actor: req.user._id, note: req.body.note });
+    res.json(updated);
+  } catch (error) {
+    handleGiftCardError(res, error);
+  }
+});
+
+module.exports = router;
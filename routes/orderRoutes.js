@@ -2,17 +2,45 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const User = require('../models/User');
-const { protect, admin } = require('../middleware/auth');
+const { protect, optionalProtect, admin } = require('../middleware/auth');
 const { sendEmail } = require('../utils/sendEmail');
 const stripe = require('../config/stripe');
 const dotenv = require('dotenv');
-const { createOrder, getOrderById, getPaymentIntent } = require('../controllers/orderController');
+const { getPaymentIntent } = require('../controllers/orderController');
+const Cart = require('../models/Cart');
+const { decrementStock } = require('../utils/inventory');
+const {
+  reserveItems,
+  releaseReservations,
+  claimReservations,
+  convertReservations,
+  returnOrderStock
+} = require('../utils/reservations');
+const { verifyQuote } = require('../utils/pricing');
+const { toMinorUnits } = require('../utils/currency');
+const { orderShippingMethod, formatDeliveryEstimate } = require('../utils/shipping');
+const { redeemCoupons, releaseCoupons } = require('../utils/coupons');
+const { applyPrepaidPayments, refundPrepaidPayments } = require('../utils/orderPayments');
+const { parseList } = require('../utils/productQuery');
+const { markCheckoutsRecovered } = require('../utils/abandonedCheckouts');
+const AppError = require('../utils/appError');
 
 // Load environment variables
 dotenv.config();
 
 router.use(express.json());
 
+// Give back everything an order took: its stock, its coupon uses and its gift card
+// and store credit payments. Each part is only given back once. The caller saves.
+const releaseOrder = async (order, { actor, reason } = {}) => {
+  if (order.inventoryCommitted) {
+    await returnOrderStock(order, { actor, reason });
+    order.inventoryCommitted = false;
+  }
+  await releaseCoupons(order);
+  await refundPrepaidPayments(order, { actor, reason });
+};
+
 // Get orders for the authenticated user - This route must come before /:id
 router.get('/my-orders', protect, async (req, res) => {
   try {
@@ -88,35 +116,34 @@ router.post('/test-email', async (req, res) => {
   }
 });
 
-// Create new order (removed protect middleware to allow guest orders)
-router.post('/', async (req, res) => {
+// Create new order (guests allowed). Prices come only from the signed checkout quote
+// (see POST /api/checkout/quote); any amounts sent by the client are ignored.
+router.post('/', optionalProtect, async (req, res) => {
   try {
     const {
-      orderItems,
+      quoteToken,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
       customerName,
-      customerEmail
+      customerEmail,
+      giftCardCodes,
+      useStoreCredit
     } = req.body;
 
     console.log('Creating order for:', { customerEmail, customerName });
 
-    // Validate required fields
-    if (!orderItems || !Array.isArray(orderItems) || orderItems.length === 0) {
-      return res.status(400).json({ error: 'Order must contain at least one item' });
-    }
-
     if (!shippingAddress) {
       return res.status(400).json({ error: 'Shipping address is required' });
     }
 
-    if (!paymentMethod) {
+    // Card or cash on delivery pays whatever gift cards and store credit do not cover
+    const prepaid = parseList(giftCardCodes).length > 0 || !!useStoreCredit;
+    if (!paymentMethod && !prepaid) {
       return res.status(400).json({ error: 'Payment method is required' });
     }
+    if (paymentMethod && !['card', 'cod'].includes(paymentMethod)) {
+      return res.status(400).json({ error: 'Payment method must be card or cod' });
+    }
 
     if (!customerName || !customerEmail) {
       return res.status(400).json({ error: 'Customer name and email are required' });
@@ -130,31 +157,109 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Validate prices
-    if (!itemsPrice || !taxPrice || !shippingPrice || !totalPrice) {
-      return res.status(400).json({ error: 'All price fields are required' });
-    }
+    // Check the quote, and that its products are still available and in stock
+    const quote = await verifyQuote(quoteToken, { shippingAddress, user: req.user });
+    const items = quote.items.map(({ product, variant, sku, size, quantity, price, taxClass, taxRate, tax }) => ({
+      product, variant, sku, size, quantity, price, taxClass, taxRate, tax
+    }));
 
     // Create order
     const order = new Order({
+      user: req.user?._id,
       customerName,
       customerEmail,
-      items: orderItems,
+      items,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
-      totalAmount: totalPrice,
+      itemsPrice: quote.itemsPrice,
+      discountPrice: quote.discountPrice,
+      taxPrice: quote.taxPrice,
+      shippingTax: quote.shippingTax,
+      pricesIncludeTax: quote.pricesIncludeTax,
+      taxes: quote.taxes,
+      shippingPrice: quote.shippingPrice,
+      shippingMethod: orderShippingMethod(quote.shipping),
+      totalAmount: quote.totalPrice,
+      discounts: quote.discounts,
+      quoteId: quote.quoteId,
+      currency: quote.currency,
+      exchangeRate: quote.exchangeRate,
       status: 'pending',
       paymentStatus: 'pending'
     });
 
+    // Use the stock held for the quote. If the hold has run out, take the stock now
+    // so a sold-out item fails the order. Card payments keep it held until they succeed.
+    const held = await claimReservations(quote.quoteId, order);
+    if (held === 0) {
+      if (paymentMethod === 'card') {
+        await reserveItems(items, { quoteId: quote.quoteId, order: order._id, actor: req.user?._id });
+      } else {
+        await decrementStock(items, { order: order._id, actor: req.user?._id });
+      }
+    }
+    order.inventoryCommitted = true;
+
+    // Count coupon uses, giving the stock back if a coupon has run out meanwhile
+    try {
+      await redeemCoupons(order.discounts, { user: req.user, email: customerEmail });
+      order.couponsRedeemed = order.discounts.length > 0;
+    } catch (error) {
+      await returnOrderStock(order, { reason: 'Coupon no longer available' });
+      throw error;
+    }
+
+    // Take gift cards and store credit, then check the rest can be paid
+    try {
+      await applyPrepaidPayments(order, {
+        giftCardCodes: parseList(giftCardCodes),
+        useStoreCredit,
+        user: req.user,
+        actor: req.user?._id
+      });
+      if (order.amountDue > 0 && !paymentMethod) {
+        throw new AppError(`Please choose how to pay the remaining ${order.amountDue.toFixed(2)}`, 400);
+      }
+    } catch (error) {
+      await refundPrepaidPayments(order);
+      await returnOrderStock(order, { reason: 'Order could not be paid' });
+      await releaseCoupons(order);
+      throw error;
+    }
+
+    if (order.amountDue === 0 && order.payments.length > 0) {
+      order.paymentMethod = order.payments[0].method;
+      order.paymentStatus = 'paid';
+      order.isPaid = true;
+      order.paidAt = new Date();
+    }
+
     // Save order
-    const savedOrder = await order.save();
+    let savedOrder;
+    try {
+      savedOrder = await order.save();
+    } catch (error) {
+      await returnOrderStock(order, { reason: 'Order could not be saved' });
+      await releaseCoupons(order);
+      await refundPrepaidPayments(order);
+      if (error.code === 11000 && error.keyPattern?.quoteId) {
+        return res.status(409).json({ error: 'An order was already placed with this quote' });
+      }
+      throw error;
+    }
     console.log('Order created successfully:', savedOrder._id);
 
+    // Orders not waiting on a card payment are sales straight away
+    if (!(savedOrder.paymentMethod === 'card' && savedOrder.amountDue > 0)) {
+      await convertReservations(savedOrder);
+    }
+
+    // The quoted cart has been bought
+    if (quote.cart) {
+      await Cart.updateOne({ _id: quote.cart }, { $set: { items: [] }, $unset: { checkout: 1 } });
+    }
+    await markCheckoutsRecovered(savedOrder, { cart: quote.cart });
+
     // Send order confirmation email
     try {
       console.log('Attempting to send order confirmation email to:', customerEmail);
@@ -167,8 +272,8 @@ router.post('/', async (req, res) => {
           orderNumber: savedOrder._id.toString().slice(-6),
           orderDate: new Date().toLocaleDateString(),
           paymentMethod: savedOrder.paymentMethod,
-          shippingMethod: 'Standard Shipping',
-          estimatedDelivery: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString(),
+          shippingMethod: savedOrder.shippingMethod?.name,
+          estimatedDelivery: formatDeliveryEstimate(savedOrder.shippingMethod),
           subtotal: savedOrder.itemsPrice,
           shippingCost: savedOrder.shippingPrice,
           tax: savedOrder.taxPrice,
@@ -184,11 +289,11 @@ router.post('/', async (req, res) => {
     }
 
     // If payment method is card, create payment intent
-    if (paymentMethod === 'card') {
+    if (savedOrder.paymentMethod === 'card' && savedOrder.amountDue > 0) {
       try {
         const paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(totalPrice * 100), // Convert to cents
-          currency: 'usd',
+          amount: toMinorUnits(savedOrder.amountDue, savedOrder.currency),
+          currency: savedOrder.currency.toLowerCase(),
           metadata: { orderId: savedOrder._id.toString() },
           automatic_payment_methods: {
             enabled: true,
@@ -205,7 +310,10 @@ router.post('/', async (req, res) => {
           clientSecret: paymentIntent.client_secret
         });
       } catch (error) {
-        // If payment intent creation fails, delete the order
+        // If payment intent creation fails, put the stock back and delete the order
+        await returnOrderStock(savedOrder, { reason: 'Payment could not be started' });
+        await releaseCoupons(savedOrder);
+        await refundPrepaidPayments(savedOrder, { reason: 'Payment could not be started' });
         await Order.findByIdAndDelete(savedOrder._id);
         throw error;
       }
@@ -217,6 +325,9 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating order:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ 
       error: 'Failed to process order',
       details: error.message 
@@ -240,10 +351,19 @@ router.put('/status', protect, async (req, res) => {
     if (paymentIntent.status === 'succeeded') {
       order.paymentStatus = 'paid';
       order.orderStatus = 'processing';
+      await convertReservations(order);
       await order.save();
       res.json({ message: 'Payment status updated to paid.' });
     } else if (paymentIntent.status === 'payment_failed') {
       order.paymentStatus = 'failed';
+      // Free the held stock; paying again later takes it again if still there
+      const released = await releaseReservations({ order: order._id }, { reason: 'Payment failed' });
+      if (released.length > 0) order.inventoryCommitted = false;
+      // Coupon uses and gift card or store credit payments go back too, so
+      // paying again later is for the whole order
+      await releaseCoupons(order);
+      await refundPrepaidPayments(order, { reason: 'Payment failed' });
+      order.amountDue = order.totalAmount;
       await order.save();
       res.status(400).json({ message: 'Payment failed.' });
     } else {
@@ -299,6 +419,11 @@ router.put('/:id/status', protect, admin, async (req, res) => {
 
     // Update current status
     order.status = status;
+
+    // Cancelled orders give their stock, coupons and prepaid payments back
+    if (status === 'cancelled') {
+      await releaseOrder(order, { actor: req.user._id, reason: statusNote });
+    }
     
     // Update delivery status if needed
     if (status === 'delivered') {
@@ -326,9 +451,10 @@ router.put('/:id/status', protect, admin, async (req, res) => {
         emailSubject = 'Your Order Has Shipped!';
         emailData = {
           ...emailData,
-          carrier: 'Standard Shipping',
+          carrier: order.shippingMethod?.name || 'Standard Shipping',
           trackingNumber: order._id.toString().slice(-8),
-          estimatedDelivery: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString()
+          estimatedDelivery: formatDeliveryEstimate(order.shippingMethod)
+            || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString()
         };
       }
 
@@ -378,6 +504,7 @@ router.put('/:id/pay', protect, async (req, res) => {
       update_time: req.body.update_time,
       email_address: req.body.email_address
     };
+    await convertReservations(order);
 
     const updatedOrder = await order.save();
     res.json(updatedOrder);
@@ -407,6 +534,8 @@ router.put('/:id/dismiss', protect, admin, async (req, res) => {
     // Update current status
     order.status = 'dismissed';
 
+    await releaseOrder(order, { actor: req.user._id, reason: 'Order dismissed by admin' });
+
     await order.save();
 
     // Send dismissal notification email
@@ -465,7 +594,8 @@ router.delete('/:id', protect, admin, async (req, res) => {
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
-    await order.remove();
+    await releaseOrder(order, { actor: req.user._id, reason: 'Order deleted by admin' });
+    await order.deleteOne();
     res.json({ message: 'Order removed' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
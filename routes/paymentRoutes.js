@@ -2,17 +2,19 @@ const express = require('express');
 const router = express.Router();
 const Stripe = require('stripe');
 const { protect } = require('../middleware/auth');
+const { getCurrencyContext, toMinorUnits } = require('../utils/currency');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Create a payment intent
+// Create a payment intent. Body: { amount, currency? } (defaults to the store currency)
 router.post('/create-intent', protect, async (req, res) => {
   try {
     const { amount } = req.body;
+    const { currency } = await getCurrencyContext(req.body.currency);
 
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: 'usd',
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
       automatic_payment_methods: {
         enabled: true,
       },
@@ -23,6 +25,9 @@ router.post('/create-intent', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating payment intent:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
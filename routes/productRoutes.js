@@ -1,49 +1,347 @@
 const express = require('express');
 const router = express.Router();
-const { protect, admin } = require('../middleware/auth');
+const multer = require('multer');
+const { protect, optionalProtect, admin } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
 const Product = require('../models/Product');
+const SearchLog = require('../models/SearchLog');
+const Collection = require('../models/Collection');
+const Category = require('../models/Category');
+const Store = require('../models/Store');
+const { buildProductJsonLd } = require('../utils/structuredData');
+const { exportProductsCsv, importProductsCsv } = require('../utils/productCsv');
+const Order = require('../models/Order');
+const StockMovement = require('../models/StockMovement');
+const StockReservation = require('../models/StockReservation');
+const ProductRecommendation = require('../models/ProductRecommendation');
+const PriceHistory = require('../models/PriceHistory');
+const { adjustStock, addVariant, removeVariant, recordStockChanges } = require('../utils/inventory');
+const { notifyWishlistSale } = require('../utils/wishlistNotifications');
+const { isBaseCurrency, localizeProduct } = require('../utils/currency');
+const {
+  PUBLIC_STATUS,
+  parseList,
+  escapeRegex,
+  buildProductFilter,
+  buildProductSort,
+  getPagination,
+  paginatedResponse
+} = require('../utils/productQuery');
 
 router.use(express.json());
 
+// CSV imports are parsed in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: function (req, file, cb) {
+    if (!file.originalname.match(/\.csv$/i)) {
+      return cb(new Error('Only CSV files are allowed!'), false);
+    }
+    cb(null, true);
+  }
+});
+
+const isAdminRequest = req => req.user?.role === 'admin';
+
+// Drafts and scheduled products are admin-only; archived ones stay resolvable for order history
+const isViewable = (req, product) => isAdminRequest(req) || ['active', 'archived'].includes(product.status);
+
+// Price filters arrive in the requested currency; the catalog is filtered in the base currency
+const withBasePrices = (query, context) => {
+  if (isBaseCurrency(context)) return query;
+  const converted = { ...query };
+  ['minPrice', 'maxPrice'].forEach(key => {
+    const value = parseFloat(query[key]);
+    if (!isNaN(value)) converted[key] = String(value / context.rate);
+  });
+  return converted;
+};
+
+const localizeAll = (products, context) => products.map(product => localizeProduct(product, context));
+
 // Public routes
-router.get('/', async (req, res) => {
+// Supports category, brand, size, minPrice, maxPrice, inStock, minRating, featured,
+// sort (newest, oldest, price_asc, price_desc, name_asc, name_desc, rating), page and limit.
+// Prices are in ?currency= when given.
+router.get('/', optionalProtect, resolveCurrency, async (req, res) => {
   try {
-    let query = {};
-    if (req.query.featured === 'true') {
-      query.featured = true;
+    const query = await buildProductFilter(withBasePrices(req.query, req.currency), { admin: isAdminRequest(req) });
+    const pagination = getPagination(req.query);
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .populate('category', 'name slug')
+        .sort(buildProductSort(req.query.sort))
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Product.countDocuments(query)
+    ]);
+
+    res.json(paginatedResponse(localizeAll(products, req.currency), total, pagination));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Full-text product search ranked by relevance.
+// Accepts the same filters as the listing; sort defaults to relevance.
+router.get('/search', resolveCurrency, async (req, res) => {
+  try {
+    const term = (req.query.q || '').trim();
+    if (!term) {
+      return res.status(400).json({ message: 'Search query is required' });
     }
-    const products = await Product.find(query).sort({ createdAt: -1 });
-    res.json(products);
+
+    const query = { ...(await buildProductFilter(withBasePrices(req.query, req.currency))), $text: { $search: term } };
+    const pagination = getPagination(req.query);
+    const sort = req.query.sort && req.query.sort !== 'relevance'
+      ? buildProductSort(req.query.sort)
+      : { score: { $meta: 'textScore' } };
+
+    const [products, total] = await Promise.all([
+      Product.find(query, { score: { $meta: 'textScore' } })
+        .populate('category', 'name slug')
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Product.countDocuments(query)
+    ]);
+
+    if (total === 0) {
+      const { q, page, limit, currency, ...filters } = req.query;
+      SearchLog.recordZeroResult(term, filters).catch(error => {
+        console.error('Error logging zero-result search:', error);
+      });
+    }
+
+    res.json({ ...paginatedResponse(localizeAll(products, req.currency), total, pagination), query: term });
   } catch (error) {
+    console.error('Error searching products:', error);
     res.status(500).json({ message: error.message });
   }
 });
 
-router.get('/:id', async (req, res) => {
+// Lightweight autocomplete for the search box
+router.get('/suggest', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
+    const term = (req.query.q || '').trim();
+    if (term.length < 2) {
+      return res.json([]);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const pattern = new RegExp(`(^|\\s)${escapeRegex(term)}`, 'i');
+
+    const suggestions = await Product.find({
+      status: PUBLIC_STATUS,
+      $or: [{ name: pattern }, { brand: pattern }]
+    })
+      .select('name brand price image')
+      .sort({ featured: -1, name: 1 })
+      .limit(limit)
+      .lean();
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Searches that returned nothing, most frequent first (admin only)
+router.get('/search/zero-results', protect, admin, async (req, res) => {
+  try {
+    const pagination = getPagination(req.query, 50);
+    const [terms, total] = await Promise.all([
+      SearchLog.find()
+        .sort({ count: -1, lastSearchedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      SearchLog.countDocuments()
+    ]);
+
+    res.json({
+      terms,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download the catalog as CSV, one row per product plus one per variant (admin only)
+router.get('/export', protect, admin, async (req, res) => {
+  try {
+    const csv = await exportProductsCsv();
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create or update products from an uploaded CSV (admin only).
+// Rows are matched on sku, then slug. Pass ?dryRun=true to validate without saving.
+router.post('/import', protect, admin, csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const report = await importProductsCsv(req.file.buffer.toString('utf8'), {
+      dryRun: req.query.dryRun === 'true',
+      actor: req.user._id
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a product by slug; old slugs redirect to the current one
+router.get('/slug/:slug', optionalProtect, resolveCurrency, async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const product = await Product.findOne({ slug })
+      .populate('category', 'name slug ancestors');
+    if (product) {
+      if (!isViewable(req, product)) {
+        return res.status(404).json({ message: 'Product not found' });
+      }
+      return res.json(localizeProduct(product, req.currency));
+    }
+
+    const renamed = await Product.findOne({ previousSlugs: slug }).select('slug status');
+    if (!renamed || !isViewable(req, renamed)) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+    const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}${search}`);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// schema.org Product/Offer JSON-LD for the product page
+router.get('/:id/structured-data', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).populate('category', 'name');
+    if (!product || product.status !== PUBLIC_STATUS) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const store = await Store.getCurrent().select('currency');
+    const jsonLd = buildProductJsonLd(product, {
+      currency: store?.currency || 'USD',
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      productUrl: `${process.env.FRONTEND_URL}/product/${product.slug || product._id}`
+    });
+
+    res.type('application/ld+json').send(JSON.stringify(jsonLd));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Frequently bought together (from order history) plus related products from the
+// same category, then brand, to fill the list. Precomputed by the recommendations job.
+router.get('/:id/recommendations', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const product = await Product.findById(req.params.id).select('category brand status');
+    if (!product || product.status !== PUBLIC_STATUS) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const listFields = 'name slug price image images brand rating stock';
+    const recommendation = await ProductRecommendation.findOne({ product: product._id });
+    const pairedIds = recommendation ? recommendation.frequentlyBoughtTogether.map(item => item.product) : [];
+
+    const paired = await Product.find({ _id: { $in: pairedIds }, status: PUBLIC_STATUS, stock: { $gt: 0 } })
+      .select(listFields);
+    const frequentlyBoughtTogether = pairedIds
+      .map(id => paired.find(item => item._id.equals(id)))
+      .filter(Boolean)
+      .slice(0, limit);
+
+    // Fill up with same-category products, then same-brand ones
+    const related = [];
+    const exclude = [product._id, ...frequentlyBoughtTogether.map(item => item._id)];
+    for (const match of [{ category: product.category }, { brand: product.brand }]) {
+      const needed = limit - frequentlyBoughtTogether.length - related.length;
+      if (needed <= 0) break;
+
+      const found = await Product.find({
+        ...match,
+        _id: { $nin: [...exclude, ...related.map(item => item._id)] },
+        status: PUBLIC_STATUS,
+        stock: { $gt: 0 }
+      })
+        .select(listFields)
+        .sort({ featured: -1, 'rating.average': -1, createdAt: -1 })
+        .limit(needed);
+      related.push(...found);
+    }
+
+    res.json({ frequentlyBoughtTogether, related });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', optionalProtect, resolveCurrency, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+      .populate('category', 'name slug ancestors');
+    if (!product || !isViewable(req, product)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.json(localizeProduct(product, req.currency));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Normalize variant input from the admin UI, generating SKUs where missing
+const normalizeVariant = (productName, variant) => {
+  const options = variant.options || {};
+  const hasPrice = variant.price !== undefined && variant.price !== null && variant.price !== '';
+  const hasWeight = variant.weight !== undefined && variant.weight !== null && variant.weight !== '';
+
+  return {
+    ...(variant._id && { _id: variant._id }),
+    sku: variant.sku || Product.buildVariantSku(productName, options),
+    options,
+    price: hasPrice ? parseFloat(variant.price) : undefined,
+    weight: hasWeight ? parseFloat(variant.weight) : undefined,
+    stock: parseInt(variant.stock) || 0,
+    image: variant.image
+  };
+};
+
 // Protected routes (admin only)
 router.post('/', protect, admin, async (req, res) => {
   try {
-    const { name, description, price, category, stock, image, brand, features, specifications } = req.body;
+    const { name, description, price, category, stock, image, images, brand, features, specifications, tags, attributes, options, variants, slug, seo, status, publishAt, reorderThreshold, compareAtPrice, weight, dimensions, taxClass, currencyPrices } = req.body;
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+    const hasImages = Array.isArray(images) && images.length > 0;
 
-    // Basic backend validation
-    if (!name || !description || !price || !category || !stock || !image || !brand) {
+    // Basic backend validation (stock comes from variants when they are given)
+    if (!name || !description || !price || !category || (!hasVariants && !stock) || (!image && !hasImages) || !brand) {
       return res.status(400).json({ message: 'Missing required fields.' });
     }
 
     // Validate and convert price and stock to numbers
     const parsedPrice = parseFloat(price);
-    const parsedStock = parseInt(stock);
+    const parsedStock = hasVariants ? 0 : parseInt(stock);
 
     if (isNaN(parsedPrice) || parsedPrice < 0) {
       return res.status(400).json({ message: 'Invalid price.' });
@@ -53,19 +351,42 @@ router.post('/', protect, admin, async (req, res) => {
       return res.status(400).json({ message: 'Invalid stock.' });
     }
 
+    // Category may be given by id or slug
+    const productCategory = await Category.findByIdentifier(category);
+    if (!productCategory) {
+      return res.status(400).json({ message: 'Invalid category.' });
+    }
+
     const product = new Product({
       name,
       description,
       price: parsedPrice,
-      category,
+      category: productCategory._id,
       stock: parsedStock,
       image,
+      images: hasImages ? images : [],
       brand,
       features,
-      specifications
+      specifications,
+      tags: tags || [],
+      attributes: attributes || {},
+      slug,
+      seo,
+      status,
+      publishAt,
+      reorderThreshold: reorderThreshold === '' || reorderThreshold === null ? undefined : reorderThreshold,
+      compareAtPrice: compareAtPrice === '' || compareAtPrice === null ? undefined : compareAtPrice,
+      weight: weight === '' || weight === null ? undefined : weight,
+      dimensions,
+      taxClass,
+      currencyPrices,
+      options: options || [],
+      variants: hasVariants ? variants.map(variant => normalizeVariant(name, variant)) : []
     });
 
+    product.$locals.priceChangeActor = req.user._id;
     await product.save();
+    await recordStockChanges(new Map(), product, { type: 'adjustment', reason: 'Initial stock', actor: req.user._id });
     res.status(201).json(product);
   } catch (error) {
     console.error('Error creating product:', error);
@@ -75,88 +396,691 @@ router.post('/', protect, admin, async (req, res) => {
 
 router.put('/:id', protect, admin, async (req, res) => {
   try {
-    const { name, description, price, category, stock, image, brand, features, specifications } = req.body;
+    const { name, description, price, category, image, images, brand, features, specifications, tags, attributes, options, variants, slug, seo, status, publishAt, reorderThreshold, compareAtPrice, weight, dimensions, taxClass, currencyPrices } = req.body;
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+    const hasImages = Array.isArray(images) && images.length > 0;
 
-    // Basic validation
-    if (!name || !description || !price || !category || !stock || !image || !brand) {
+    // Basic validation. Stock is not edited here; it changes through POST /:id/stock.
+    if (!name || !description || !price || !category || (!image && !hasImages) || !brand) {
       return res.status(400).json({ message: 'Missing required fields.' });
     }
 
     const parsedPrice = parseFloat(price);
-    const parsedStock = parseInt(stock);
 
     if (isNaN(parsedPrice) || parsedPrice < 0) {
       return res.status(400).json({ message: 'Invalid price.' });
     }
 
-    if (isNaN(parsedStock) || parsedStock < 0) {
-      return res.status(400).json({ message: 'Invalid stock.' });
+    // Category may be given by id or slug
+    const productCategory = await Category.findByIdentifier(category);
+    if (!productCategory) {
+      return res.status(400).json({ message: 'Invalid category.' });
     }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      {
+    let product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Added and removed variants go through the ledger; the save below only edits
+    // the variants that stay, and never writes their stock or reserved counts
+    const keptVariants = [];
+    const addedVariants = [];
+    let removedVariants = [];
+    if (variants !== undefined) {
+      const wanted = hasVariants ? variants.map(variant => normalizeVariant(name, variant)) : [];
+      const skus = wanted.map(variant => String(variant.sku).trim().toUpperCase());
+      const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+      if (duplicate) {
+        return res.status(400).json({ message: `Duplicate variant SKU: ${duplicate}` });
+      }
+
+      const matched = wanted.map(variant =>
+        (variant._id && product.variants.id(variant._id)) || product.findVariant({ sku: variant.sku }));
+      removedVariants = product.variants.filter(variant => !matched.includes(variant));
+      wanted.forEach((variant, index) => {
+        if (matched[index]) {
+          const { sku, options, price, weight, image } = variant;
+          keptVariants.push({ _id: matched[index]._id, fields: { sku, options, price, weight, image } });
+        } else {
+          addedVariants.push(variant);
+        }
+      });
+    }
+
+    const applyChanges = (doc) => {
+      doc.set({
         name,
         description,
-        price: parsedPrice,
-        category,
-        stock: parsedStock,
+        category: productCategory._id,
         image,
         brand,
         features,
         specifications,
         updatedAt: Date.now()
-      },
-      { new: true, runValidators: true }
-    );
+      });
+      // While a sale runs, a changed price is the regular price the sale will return to
+      if (!doc.sale?.active) {
+        doc.price = parsedPrice;
+      } else if (parsedPrice !== doc.price) {
+        doc.sale.originalPrice = parsedPrice;
+      }
+      if (compareAtPrice !== undefined) {
+        doc.compareAtPrice = compareAtPrice === '' || compareAtPrice === null ? undefined : compareAtPrice;
+      }
+      doc.$locals.priceChangeActor = req.user._id;
+      if (images !== undefined) doc.images = hasImages ? images : [];
+      if (slug) doc.slug = slug;
+      if (seo !== undefined) doc.seo = seo;
+      if (status !== undefined) doc.status = status;
+      if (publishAt !== undefined) doc.publishAt = publishAt || undefined;
+      if (reorderThreshold !== undefined) {
+        doc.reorderThreshold = reorderThreshold === '' || reorderThreshold === null ? undefined : reorderThreshold;
+      }
+      if (weight !== undefined) doc.weight = weight === '' || weight === null ? undefined : weight;
+      if (dimensions !== undefined) doc.dimensions = dimensions;
+      if (taxClass !== undefined) doc.taxClass = taxClass;
+      if (currencyPrices !== undefined) doc.currencyPrices = currencyPrices || undefined;
+      if (tags !== undefined) doc.tags = tags;
+      if (attributes !== undefined) doc.attributes = attributes;
+      if (options !== undefined) doc.options = options;
+      keptVariants.forEach(({ _id, fields }) => {
+        const variant = doc.variants.id(_id);
+        if (variant) variant.set(fields);
+      });
+    };
+
+    // Check the edited product, variants included, before any variant or stock is
+    // written, so an edit that fails validation changes nothing
+    applyChanges(product);
+    if (variants !== undefined) {
+      removedVariants.forEach(variant => product.variants.pull(variant._id));
+      addedVariants.forEach(variant => product.variants.push(variant));
+    }
+    await product.validate();
+
+    if (variants !== undefined) {
+      for (const variant of removedVariants) {
+        await removeVariant(product._id, variant._id, { reason: 'Variant removed', actor: req.user._id });
+      }
+      for (const variant of addedVariants) {
+        await addVariant(product._id, variant, { reason: 'Variant added', actor: req.user._id });
+      }
+      product = await Product.findById(product._id);
+      applyChanges(product);
+    }
+
+    await product.save();
+    res.json(product);
+  } catch (error) {
+    res.status(error.isOperational ? error.statusCode : 400).json({ message: error.message });
+  }
+});
+
+// Image gallery management (admin only)
+router.post('/:id/images', protect, admin, async (req, res) => {
+  try {
+    const images = Array.isArray(req.body.images) ? req.body.images : [req.body];
+    if (images.some(image => !image || !image.url)) {
+      return res.status(400).json({ message: 'Each image needs a url.' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    images.forEach(({ url, alt, isPrimary, variants }) => {
+      if (isPrimary) product.images.forEach(image => { image.isPrimary = false; });
+      product.images.push({
+        url,
+        alt: alt || product.name,
+        isPrimary: !!isPrimary,
+        position: product.images.length,
+        variants: variants || []
+      });
+    });
+
+    await product.save();
+    res.status(201).json(product.images);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Reorder the gallery; body is { order: [imageId, ...] }
+router.put('/:id/images/reorder', protect, admin, async (req, res) => {
+  try {
+    const { order } = req.body;
+    if (!Array.isArray(order)) {
+      return res.status(400).json({ message: 'Order must be a list of image ids.' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Images missing from the list keep their relative order at the end
+    product.images.forEach(image => {
+      const index = order.indexOf(image._id.toString());
+      image.position = index === -1 ? order.length + image.position : index;
+    });
+
+    await product.save();
+    res.json(product.images);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.put('/:id/images/:imageId', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const { url, alt, isPrimary, variants } = req.body;
+    if (url !== undefined) image.url = url;
+    if (alt !== undefined) image.alt = alt;
+    if (variants !== undefined) image.variants = variants;
+    if (isPrimary) {
+      product.images.forEach(item => { item.isPrimary = item === image; });
+    }
+
+    await product.save();
+    res.json(product.images);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.delete('/:id/images/:imageId', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+    if (product.images.length === 1) {
+      return res.status(400).json({ message: 'A product must keep at least one image.' });
+    }
+
+    image.deleteOne();
+    await product.save();
+    res.json(product.images);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
+// Variant management (admin only)
+router.get('/:id/variants', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name options variants stock reserved');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.json({
+      options: product.options,
+      variants: product.variants.map(variant => ({ ...variant.toObject(), inventory: product.getInventory(variant) })),
+      stock: product.stock,
+      inventory: product.getInventory()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Generate one variant per combination of option values, keeping existing ones
+router.post('/:id/variants/generate', protect, admin, async (req, res) => {
+  try {
+    const { options, price, stock } = req.body;
+    if (!Array.isArray(options) || options.length === 0 || options.some(option => !option.name || !Array.isArray(option.values) || option.values.length === 0)) {
+      return res.status(400).json({ message: 'Options must be a list of { name, values } axes.' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const sameOptions = (variant, combination) =>
+      variant.options.size === Object.keys(combination).length &&
+      Object.entries(combination).every(([name, value]) => variant.options.get(name) === value);
+
+    let created = 0;
+    for (const combination of Product.combineOptions(options)) {
+      if (product.variants.some(variant => sameOptions(variant, combination))) continue;
+      await addVariant(product._id, normalizeVariant(product.name, { options: combination, price, stock }), {
+        reason: 'Variants generated',
+        actor: req.user._id
+      });
+      created += 1;
+    }
+
+    const updated = await Product.findById(product._id);
+    updated.options = options;
+    await updated.save();
+    res.status(201).json({ created, variants: updated.variants, stock: updated.stock });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.post('/:id/variants', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = normalizeVariant(product.name, req.body);
+    const updated = await addVariant(product._id, variant, { reason: 'Variant added', actor: req.user._id });
+    res.status(201).json(updated.findVariant({ sku: variant.sku }));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.put('/:id/variants/:variantId', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    // Stock is changed through POST /:id/stock so it is recorded in the ledger
+    const { sku, options, price, image } = req.body;
+    if (sku !== undefined) variant.sku = sku;
+    if (options !== undefined) variant.options = options;
+    if (price !== undefined) variant.price = price === '' || price === null ? undefined : parseFloat(price);
+    if (image !== undefined) variant.image = image;
+
+    product.$locals.priceChangeActor = req.user._id;
+    await product.save();
+    res.json(variant);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+router.delete('/:id/variants/:variantId', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    await removeVariant(product._id, variant._id, { reason: 'Variant deleted', actor: req.user._id });
+    res.json({ message: 'Variant deleted successfully' });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Stock movement history for a product, newest first (admin only).
+// Filter with ?variant=<id>, ?type=sale,return and paginate with page/limit.
+router.get('/:id/stock-history', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku stock reserved variants');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: product._id };
+    if (req.query.variant) query.variant = req.query.variant;
+    const types = parseList(req.query.type);
+    if (types.length) query.type = { $in: types };
+
+    const pagination = getPagination(req.query, 50);
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('actor', 'name email')
+        .populate('order', 'status totalAmount')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku, stock: product.stock, reserved: product.reserved },
+      movements,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Checkout reservations holding this product's stock (admin only).
+// Shows active holds by default; filter with ?status= and ?variant=
+router.get('/:id/reservations', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku stock reserved variants');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const query = { product: product._id, status: { $in: parseList(req.query.status || 'active') } };
+    if (req.query.variant) query.variant = req.query.variant;
+
+    const pagination = getPagination(req.query, 50);
+    const [reservations, total] = await Promise.all([
+      StockReservation.find(query)
+        .populate('order', 'status paymentStatus totalAmount customerEmail')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      StockReservation.countDocuments(query)
+    ]);
+
+    res.json({
+      product: { _id: product._id, name: product.name, sku: product.sku, inventory: product.getInventory() },
+      reservations,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Adjust stock through the ledger (admin only).
+// Body: { variant | sku, quantity (signed change) or setTo, reason, type: 'adjustment' | 'return', order }
+router.post('/:id/stock', protect, admin, async (req, res) => {
+  try {
+    const { quantity, setTo, reason, order } = req.body;
+    const type = req.body.type || 'adjustment';
+
+    if (!['adjustment', 'return'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be adjustment or return.' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required for stock adjustments.' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.findVariant(req.body);
+      if (!variant) {
+        return res.status(400).json({ message: 'Please select a valid variant.' });
+      }
+    }
+
+    const current = variant ? variant.stock : product.stock;
+    const change = setTo !== undefined ? parseInt(setTo) - current : parseInt(quantity);
+    if (isNaN(change) || (setTo !== undefined && parseInt(setTo) < 0)) {
+      return res.status(400).json({ message: 'Provide a whole-number quantity or setTo.' });
+    }
+    if (change === 0) {
+      return res.status(400).json({ message: 'Stock is already at that level.' });
+    }
+
+    const updated = await adjustStock({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      quantity: change,
+      type,
+      reason: String(reason).trim(),
+      order,
+      actor: req.user._id
+    });
+
+    res.json({
+      stock: updated.stock,
+      ...(variant && { variant: updated.variants.id(variant._id) })
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Price changes for a product, newest first, with the lowest price of the last
+// 30 days so "was X, now Y" claims can be checked. Actors are only shown to admins.
+router.get('/:id/price-history', optionalProtect, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('price compareAtPrice sale status');
+    if (!product || !isViewable(req, product)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const pagination = getPagination(req.query, 50);
+    const query = { product: product._id };
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    let historyQuery = PriceHistory.find(query)
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+    historyQuery = isAdminRequest(req) ? historyQuery.populate('actor', 'name email') : historyQuery.select('-actor');
+
+    const [history, total, lowest] = await Promise.all([
+      historyQuery,
+      PriceHistory.countDocuments(query),
+      PriceHistory.aggregate([
+        { $match: { product: product._id, variant: null, createdAt: { $gte: since } } },
+        { $group: { _id: null, price: { $min: '$price' } } }
+      ])
+    ]);
+
+    res.json({
+      price: product.price,
+      compareAtPrice: product.getCompareAtPrice(),
+      onSale: product.sale.active,
+      saleEndsAt: product.sale.active ? product.sale.endsAt : undefined,
+      lowestPrice30Days: Math.min(product.price, ...(lowest.length ? [lowest[0].price] : [])),
+      history,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Schedule (or immediately start) a sale (admin only).
+// Body: { price, startsAt, endsAt }; startsAt defaults to now.
+router.put('/:id/sale', protect, admin, async (req, res) => {
+  try {
+    const salePrice = parseFloat(req.body.price);
+    if (isNaN(salePrice) || salePrice < 0) {
+      return res.status(400).json({ message: 'Invalid sale price.' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+    const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : undefined;
+    if (isNaN(startsAt.getTime()) || (endsAt && isNaN(endsAt.getTime()))) {
+      return res.status(400).json({ message: 'Invalid sale dates.' });
+    }
+
+    // Rescheduling a running sale keeps its saved regular price
+    if (product.sale.active) {
+      product.price = product.sale.originalPrice;
+      product.sale.active = false;
+      product.$locals.priceChangeReason = 'sale_end';
+    }
+    product.sale.price = salePrice;
+    product.sale.startsAt = startsAt;
+    product.sale.endsAt = endsAt;
+    product.sale.originalPrice = undefined;
+
+    const startNow = startsAt <= new Date() && (!endsAt || endsAt > new Date());
+    if (startNow) product.startSale();
+    product.$locals.priceChangeActor = req.user._id;
+    await product.save();
+
+    if (startNow) {
+      notifyWishlistSale(product).catch(error => {
+        console.error('Error sending wishlist sale notifications:', error);
+      });
+    }
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// End or cancel a sale and restore the regular price (admin only)
+router.delete('/:id/sale', protect, admin, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    product.endSale();
+    product.$locals.priceChangeActor = req.user._id;
+    await product.save();
     res.json(product);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Change a product's lifecycle status (admin only); scheduled products need a publishAt date
+router.put('/:id/status', protect, admin, async (req, res) => {
+  try {
+    if (!req.body.status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.status = req.body.status;
+    if (req.body.publishAt !== undefined) product.publishAt = req.body.publishAt || undefined;
+    product.updatedAt = Date.now();
+
+    await product.save();
+    res.json(product);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Archive a product (admin only). Archived products disappear from the storefront
+// but stay available to order history and reports. Pass ?permanent=true to delete
+// a product outright; this is refused once any order references it.
 router.delete('/:id', protect, admin, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json({ message: 'Product deleted successfully' });
+
+    if (req.query.permanent === 'true') {
+      const orderCount = await Order.countDocuments({ 'items.product': product._id });
+      if (orderCount > 0) {
+        return res.status(409).json({
+          message: 'Product is referenced by existing orders and can only be archived',
+          orderCount
+        });
+      }
+      await product.deleteOne();
+      return res.json({ message: 'Product deleted successfully' });
+    }
+
+    product.status = 'archived';
+    product.updatedAt = Date.now();
+    await product.save();
+    res.json({ message: 'Product archived successfully', product });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get products by collection
-router.get('/collection/:type', async (req, res) => {
+// Get products by collection slug (collections are managed under /api/collections).
+// Accepts the listing filters; sort defaults to the collection's sort order.
+router.get('/collection/:type', resolveCurrency, async (req, res) => {
   try {
-    const { type } = req.params;
-    let query = {};
+    const collection = await Collection.findOne({ slug: req.params.type, isActive: true });
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const query = { $and: [await collection.buildProductQuery(), await buildProductFilter(withBasePrices(req.query, req.currency))] };
+    const pagination = getPagination(req.query);
+    const sortOrder = req.query.sort || collection.sortOrder;
+    let products;
+    let total;
+
+    if (sortOrder === 'manual') {
+      // Follow the hand-picked order of the collection
+      const matching = await Product.find(query).select('_id').lean();
+      const position = id => collection.products.findIndex(productId => productId.equals(id));
+      const pageIds = matching
+        .map(product => product._id)
+        .sort((a, b) => position(a) - position(b))
+        .slice(pagination.skip, pagination.skip + pagination.limit);
 
-    // Define collection-specific queries
-    switch (type) {
-      case 'mens':
-        query = { category: { $in: ['shirts', 'pants', 'jackets'] }, gender: 'men' };
-        break;
-      case 'womens':
-        query = { category: { $in: ['dresses', 'tops', 'skirts'] }, gender: 'women' };
-        break;
-      case 'footwear':
-        query = { category: { $in: ['sneakers', 'formal', 'casual', 'sports'] } };
-        break;
-      case 'accessories':
-        query = { category: { $in: ['bags', 'watches', 'jewelry', 'belts'] } };
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid collection type' });
+      const pageProducts = await Product.find({ _id: { $in: pageIds } }).populate('category', 'name slug');
+      products = pageIds.map(id => pageProducts.find(product => product._id.equals(id)));
+      total = matching.length;
+    } else {
+      [products, total] = await Promise.all([
+        Product.find(query)
+          .populate('category', 'name slug')
+          .sort(buildProductSort(sortOrder))
+          .skip(pagination.skip)
+          .limit(pagination.limit),
+        Product.countDocuments(query)
+      ]);
     }
 
-    const products = await Product.find(query).sort({ createdAt: -1 });
-    res.json(products);
+    res.json({
+      collection: {
+        _id: collection._id,
+        name: collection.name,
+        slug: collection.slug,
+        description: collection.description,
+        heroImage: collection.heroImage
+      },
+      ...paginatedResponse(localizeAll(products, req.currency), total, pagination)
+    });
   } catch (error) {
     console.error('Error fetching collection products:', error);
     res.status(500).json({ message: error.message });
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getPagination } = require('../utils/productQuery');
+
+router.use(express.json());
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 }
+};
+
+// A purchase is verified when the user has a delivered order containing the product
+const hasDeliveredOrder = async (user, productId) => {
+  const order = await Order.exists({
+    'items.product': productId,
+    $and: [
+      { $or: [{ user: user._id }, { customerEmail: user.email }] },
+      { $or: [{ status: 'delivered' }, { isDelivered: true }] }
+    ]
+  });
+  return !!order;
+};
+
+// Get approved reviews for a product with a rating breakdown
+router.get('/product/:productId', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const query = { product: productId, status: 'approved' };
+    if (req.query.verified === 'true') {
+      query.isVerifiedPurchase = true;
+    }
+
+    const pagination = getPagination(req.query, 10);
+    const [reviews, total, breakdown, product] = await Promise.all([
+      Review.find(query)
+        .populate('user', 'name profilePicture')
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Review.countDocuments(query),
+      Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]),
+      Product.findById(productId).select('rating')
+    ]);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    res.json({
+      reviews,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total,
+      rating: product.rating,
+      breakdown: [5, 4, 3, 2, 1].reduce((acc, stars) => {
+        acc[stars] = breakdown.find(item => item._id === stars)?.count || 0;
+        return acc;
+      }, {})
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a review (one per user per product)
+router.post('/product/:productId', protect, async (req, res) => {
+  try {
+    const { rating, title, comment } = req.body;
+    if (!rating || !comment) {
+      return res.status(400).json({ message: 'Rating and review text are required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const existing = await Review.exists({ product: product._id, user: req.user._id });
+    if (existing) {
+      return res.status(409).json({ message: 'You have already reviewed this product' });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      rating,
+      title,
+      comment,
+      isVerifiedPurchase: await hasDeliveredOrder(req.user, product._id),
+      status: req.user.role === 'admin' ? 'approved' : 'pending'
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Error creating review:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reviewed this product' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all reviews for moderation (admin only)
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.product) query.product = req.query.product;
+
+    const pagination = getPagination(req.query, 20);
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .populate('user', 'name email')
+        .populate('product', 'name image')
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Review.countDocuments(query)
+    ]);
+
+    res.json({
+      reviews,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(total / pagination.limit),
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve or reject a review (admin only)
+router.put('/:id/moderate', protect, admin, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid review status' });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.status = status;
+    review.moderationNote = note;
+    await review.save();
+
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update own review; edits go back to moderation
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!review.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to edit this review' });
+    }
+
+    const { rating, title, comment } = req.body;
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+    review.isVerifiedPurchase = await hasDeliveredOrder(req.user, review.product);
+    if (req.user.role !== 'admin') review.status = 'pending';
+
+    await review.save();
+    res.json(review);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a review (owner or admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!review.user.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this review' });
+    }
+
+    await review.deleteOne();
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mark/unmark a review as helpful
+router.post('/:id/helpful', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review || review.status !== 'approved') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (review.user.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    const updated = await review.toggleHelpful(req.user._id);
+    res.json({ helpfulCount: updated.helpfulCount });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
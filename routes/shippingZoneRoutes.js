@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middleware/auth');
+const ShippingZone = require('../models/ShippingZone');
+
+router.use(express.json());
+
+const EDITABLE_FIELDS = ['name', 'countries', 'states', 'methods', 'isActive'];
+
+const pickZoneFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const handleZoneError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+const findZoneById = id => (mongoose.Types.ObjectId.isValid(id) ? ShippingZone.findById(id) : null);
+
+// All shipping zones and their methods (admin only)
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ createdAt: 1 });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    const zone = await findZoneById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+    res.json(zone);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Body: { name, countries, states, methods: [{ method, name, rateType, rate, tiers, freeAbove, minDays, maxDays }] }
+router.post('/', protect, admin, async (req, res) => {
+  try {
+    const zone = await ShippingZone.create(pickZoneFields(req.body));
+    res.status(201).json(zone);
+  } catch (error) {
+    handleZoneError(res, error);
+  }
+});
+
+router.put('/:id', protect, admin, async (req, res) => {
+  try {
+    const zone = await findZoneById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    zone.set(pickZoneFields(req.body));
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    handleZoneError(res, error);
+  }
+});
+
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const zone = await findZoneById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    await zone.deleteOne();
+    res.json({ message: 'Shipping zone deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middleware/auth');
+const User = require('../models/User');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const { getPagination } = require('../utils/productQuery');
+const { adjustStoreCredit } = require('../utils/storeCredit');
+
+router.use(express.json());
+
+// Balance and paginated transaction history for a user
+const creditStatement = async (userId, query) => {
+  const pagination = getPagination(query, 20);
+  const [user, transactions, total] = await Promise.all([
+    User.findById(userId).select('name email storeCredit'),
+    StoreCreditTransaction.find({ user: userId })
+      .populate('order', 'totalAmount createdAt')
+      .sort({ createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit),
+    StoreCreditTransaction.countDocuments({ user: userId })
+  ]);
+  if (!user) return null;
+
+  return {
+    balance: user.storeCredit,
+    transactions,
+    currentPage: pagination.page,
+    totalPages: Math.ceil(total / pagination.limit),
+    total,
+    limit: pagination.limit
+  };
+};
+
+// The current user's store credit
+router.get('/mine', protect, async (req, res) => {
+  try {
+    res.json(await creditStatement(req.user._id, req.query));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/users/:userId', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const statement = await creditStatement(req.params.userId, req.query);
+    if (!statement) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(statement);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Issue or remove credit, e.g. for a returned order.
+// Body: { amount (signed), reason, type: refund|adjustment, order }
+router.post('/users/:userId', protect, admin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    if (isNaN(amount) || amount === 0) {
+      return res.status(400).json({ message: 'Amount must be a non-zero number' });
+    }
+    if (!req.body.reason) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    const type = req.body.type || (amount > 0 ? 'refund' : 'adjustment');
+    if (!['refund', 'adjustment'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be refund or adjustment' });
+    }
+    if (req.body.order && !mongoose.Types.ObjectId.isValid(req.body.order)) {
+      return res.status(400).json({ message: 'Invalid order id' });
+    }
+
+    const transaction = await adjustStoreCredit({
+      user: req.params.userId,
+      amount,
+      type,
+      reason: req.body.reason,
+      order: req.body.order,
+      actor: req.user._id
+    });
+
+    res.status(201).json(transaction);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
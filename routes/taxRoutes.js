@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, admin } = require('../middleware/auth');
+const TaxRule = require('../models/TaxRule');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const { toCsv } = require('../utils/csv');
+const { escapeRegex } = require('../utils/productQuery');
+const { baseAmountExpr } = require('../utils/currency');
+
+router.use(express.json());
+
+const EDITABLE_FIELDS = ['name', 'country', 'state', 'postalPrefix', 'taxClass', 'rate', 'appliesToShipping', 'isActive'];
+
+const pickRuleFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const handleRuleError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: `Invalid ${error.path}` });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A rule for this region and tax class already exists' });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+const findRuleById = id => (mongoose.Types.ObjectId.isValid(id) ? TaxRule.findById(id) : null);
+
+const REPORT_COLUMNS = ['country', 'state', 'name', 'rate', 'orders', 'taxableAmount', 'taxCollected'];
+
+// Tax rules. Filter with ?country=
+router.get('/rules', protect, admin, async (req, res) => {
+  try {
+    const filter = req.query.country ? { country: String(req.query.country).toUpperCase() } : {};
+    const rules = await TaxRule.find(filter).sort({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Body: { name, country, state, postalPrefix, taxClass, rate, appliesToShipping }
+router.post('/rules', protect, admin, async (req, res) => {
+  try {
+    const rule = await TaxRule.create(pickRuleFields(req.body));
+    res.status(201).json(rule);
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+router.put('/rules/:id', protect, admin, async (req, res) => {
+  try {
+    const rule = await findRuleById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Tax rule not found' });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    handleRuleError(res, error);
+  }
+});
+
+router.delete('/rules/:id', protect, admin, async (req, res) => {
+  try {
+    const rule = await findRuleById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Tax rule not found' });
+    }
+
+    await rule.deleteOne();
+    res.json({ message: 'Tax rule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Tax collected per region and rate, for filing, in the store currency. Only paid
+// orders and placed cash on delivery orders count; cancelled and dismissed orders are
+// left out. Narrow with ?from=&to= (order dates) and ?country=; ?format=csv downloads it.
+router.get('/report', protect, admin, async (req, res) => {
+  try {
+    const match = {
+      status: { $nin: ['cancelled', 'dismissed'] },
+      $or: [{ paymentStatus: 'paid' }, { isPaid: true }, { paymentMethod: 'cod', paymentStatus: { $ne: 'failed' } }],
+      'taxes.0': { $exists: true }
+    };
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+    if (req.query.country) {
+      match['shippingAddress.country'] = { $regex: `^${escapeRegex(req.query.country)}$`, $options: 'i' };
+    }
+
+    const report = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$taxes' },
+      {
+        $group: {
+          _id: {
+            country: { $toUpper: '$shippingAddress.country' },
+            state: { $toUpper: '$shippingAddress.state' },
+            name: '$taxes.name',
+            rate: '$taxes.rate'
+          },
+          orders: { $sum: 1 },
+          taxableAmount: { $sum: baseAmountExpr('$taxes.taxableAmount') },
+          taxCollected: { $sum: baseAmountExpr('$taxes.amount') }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          country: '$_id.country',
+          state: '$_id.state',
+          name: '$_id.name',
+          rate: '$_id.rate',
+          orders: 1,
+          taxableAmount: { $round: ['$taxableAmount', 2] },
+          taxCollected: { $round: ['$taxCollected', 2] }
+        }
+      },
+      { $sort: { country: 1, state: 1, name: 1, rate: 1 } }
+    ]);
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="tax-report-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(toCsv(report, REPORT_COLUMNS));
+    }
+
+    const store = await Store.getCurrent();
+    res.json({
+      currency: store?.currency || 'USD',
+      rows: report,
+      totals: {
+        taxableAmount: Math.round(report.reduce((sum, row) => sum + row.taxableAmount, 0) * 100) / 100,
+        taxCollected: Math.round(report.reduce((sum, row) => sum + row.taxCollected, 0) * 100) / 100
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ const passport = require('passport');
 const Newsletter = require('../models/Newsletter');
 const Contact = require('../models/Contact');
 const Order = require('../models/Order');
+const { mergeCartOnLogin } = require('../utils/cart');
 
 router.use(express.json());
 
@@ -53,6 +54,9 @@ router.get('/google/callback', (req, res, next) => {
       maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
     });
 
+    // Bring the guest cart along
+    await mergeCartOnLogin(req, res, req.user);
+
     // Redirect to frontend with success
     res.redirect(`${process.env.FRONTEND_URL}/auth-success?token=${token}`);
   } catch (error) {
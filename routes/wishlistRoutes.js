@@ -0,0 +1,277 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect } = require('../middleware/auth');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const { findOrCreateCart, refreshCart, addCartItem, presentCart } = require('../utils/cart');
+
+router.use(express.json());
+
+const PRODUCT_FIELDS = 'name slug price compareAtPrice sale image images stock status variants brand';
+
+const handleWishlistError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'You already have a list with this name' });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// Find one of the current user's lists; "default" stands for their default list
+const findOwnList = async (req) => {
+  if (req.params.id === 'default') {
+    return Wishlist.getDefault(req.user._id);
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+// Shape list items for the storefront, flagging price changes since they were added
+const presentItems = (wishlist, { publicOnly = false } = {}) => wishlist.items
+  .filter(item => item.product && (!publicOnly || item.product.status === 'active'))
+  .map(item => {
+    const product = item.product;
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    const price = product.getVariantPrice(variant);
+    return {
+      _id: item._id,
+      product: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        brand: product.brand,
+        image: (variant && variant.image) || product.getPrimaryImage(),
+        status: product.status
+      },
+      variant: item.variant,
+      label: product.getVariantLabel(variant),
+      price,
+      compareAtPrice: product.getCompareAtPrice(),
+      onSale: !!product.sale?.active,
+      priceWhenAdded: item.priceWhenAdded,
+      priceDropped: item.priceWhenAdded !== undefined && price < item.priceWhenAdded,
+      inStock: (variant ? variant.stock : product.stock) > 0,
+      addedAt: item.addedAt
+    };
+  });
+
+const presentList = (wishlist, options) => ({
+  _id: wishlist._id,
+  name: wishlist.name,
+  isDefault: wishlist.isDefault,
+  isPublic: wishlist.isPublic,
+  shareToken: wishlist.isPublic ? wishlist.shareToken : undefined,
+  notifications: wishlist.notifications,
+  items: presentItems(wishlist, options),
+  updatedAt: wishlist.updatedAt
+});
+
+// View a shared list (no login needed)
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ shareToken: req.params.token, isPublic: true })
+      .populate('user', 'name')
+      .populate('items.product', PRODUCT_FIELDS);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    const { shareToken, notifications, ...list } = presentList(wishlist, { publicOnly: true });
+    res.json({ ...list, owner: wishlist.user?.name?.split(' ')[0] });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// All of the user's lists with their items
+router.get('/', protect, async (req, res) => {
+  try {
+    await Wishlist.getDefault(req.user._id);
+    const wishlists = await Wishlist.find({ user: req.user._id })
+      .populate('items.product', PRODUCT_FIELDS)
+      .sort({ isDefault: -1, createdAt: 1 });
+
+    res.json(wishlists.map(wishlist => presentList(wishlist)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a named list
+router.post('/', protect, async (req, res) => {
+  try {
+    const { name, isPublic, notifications } = req.body;
+    const wishlist = await Wishlist.create({ user: req.user._id, name, isPublic, notifications });
+    res.status(201).json(presentList(wishlist));
+  } catch (error) {
+    handleWishlistError(res, error);
+  }
+});
+
+// Get one list ("default" for the default list)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+    res.json(presentList(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Rename a list, share it or change its notifications
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    const { name, isPublic, notifications } = req.body;
+    if (name !== undefined) wishlist.name = name;
+    if (isPublic !== undefined) wishlist.isPublic = !!isPublic;
+    if (notifications !== undefined) {
+      if (notifications.onSale !== undefined) wishlist.notifications.onSale = !!notifications.onSale;
+      if (notifications.lowStock !== undefined) wishlist.notifications.lowStock = !!notifications.lowStock;
+    }
+    // Stop sharing with the old link by issuing a new one
+    if (req.body.resetShareLink) wishlist.shareToken = undefined;
+
+    await wishlist.save();
+    res.json(presentList(wishlist));
+  } catch (error) {
+    handleWishlistError(res, error);
+  }
+});
+
+// Delete a list; the default list can only be emptied
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+    if (wishlist.isDefault) {
+      return res.status(400).json({ message: 'The default wishlist cannot be deleted' });
+    }
+
+    await wishlist.deleteOne();
+    res.json({ message: 'Wishlist deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save a product to a list. Body: { product, variant | sku | size }
+router.post('/:id/items', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.body.product)) {
+      return res.status(400).json({ message: 'Invalid product id' });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product || product.status !== 'active') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // A variant is optional; customers may save a product before picking a size
+    const variant = product.findVariant(req.body);
+    if (wishlist.findItem(product._id, variant?._id)) {
+      return res.status(409).json({ message: 'This item is already in the wishlist' });
+    }
+
+    wishlist.items.push({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      priceWhenAdded: product.getVariantPrice(variant)
+    });
+    await wishlist.save();
+
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+    res.status(201).json(presentList(wishlist));
+  } catch (error) {
+    handleWishlistError(res, error);
+  }
+});
+
+// Remove an item from a list
+router.delete('/:id/items/:itemId', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+    res.json(presentList(wishlist));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Move an item into the user's cart. Body: { quantity, variant | sku | size } — the
+// option is needed when the item was saved without one. Use keep=true to leave it listed.
+router.post('/:id/items/:itemId/move-to-cart', protect, async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req);
+    if (!wishlist) {
+      return res.status(404).json({ message: 'Wishlist not found' });
+    }
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    const cart = await findOrCreateCart(req);
+    const notices = await refreshCart(cart);
+    await addCartItem(cart, {
+      product: item.product,
+      variant: item.variant || req.body.variant,
+      sku: item.variant ? undefined : req.body.sku,
+      size: item.variant ? undefined : req.body.size,
+      quantity: req.body.quantity || 1
+    });
+    await cart.save();
+
+    if (!req.body.keep) {
+      item.deleteOne();
+      await wishlist.save();
+    }
+
+    await wishlist.populate('items.product', PRODUCT_FIELDS);
+    res.json({
+      wishlist: presentList(wishlist),
+      cart: await presentCart(cart, notices)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
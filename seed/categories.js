@@ -0,0 +1,56 @@
+const slugify = require('slugify');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+// Default taxonomy; leaf slugs match the categories used by older products
+const defaultCategories = [
+  { name: 'Clothing', children: ['Shirts', 'Pants', 'Jackets', 'Dresses', 'Tops', 'Skirts'] },
+  { name: 'Footwear', children: ['Sneakers', 'Formal', 'Casual', 'Sports'] },
+  { name: 'Accessories', children: ['Bags', 'Watches', 'Jewelry', 'Belts'] }
+];
+
+const findOrCreateCategory = async (name, parent = null) => {
+  const slug = slugify(name, { lower: true, strict: true });
+  const existing = await Category.findOne({ slug });
+  if (existing) return existing;
+  return Category.create({ name, slug, parent });
+};
+
+// Create any default category that does not exist yet
+const seedCategories = async () => {
+  try {
+    for (const root of defaultCategories) {
+      const parent = await findOrCreateCategory(root.name);
+      for (const child of root.children) {
+        await findOrCreateCategory(child, parent._id);
+      }
+    }
+    console.log('Categories seeded successfully');
+  } catch (error) {
+    console.error('Error seeding categories:', error);
+  }
+};
+
+// Products created before the taxonomy stored the category as a free-form string.
+// Convert each distinct string to a Category and point the products at it.
+const migrateProductCategories = async () => {
+  const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+
+  for (const name of names) {
+    const label = name.trim();
+    if (!label) continue;
+
+    const category = await findOrCreateCategory(label.charAt(0).toUpperCase() + label.slice(1));
+    const result = await Product.collection.updateMany(
+      { category: name },
+      { $set: { category: category._id } }
+    );
+    console.log(`Migrated ${result.modifiedCount} products to category "${category.slug}"`);
+  }
+};
+
+module.exports = {
+  seedCategories,
+  migrateProductCategories,
+  findOrCreateCategory
+};
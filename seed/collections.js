@@ -0,0 +1,50 @@
+const Collection = require('../models/Collection');
+
+// The collections that used to be hardcoded in GET /api/products/collection/:type
+const defaultCollections = [
+  {
+    name: "Men's",
+    slug: 'mens',
+    type: 'automated',
+    rules: [{ field: 'category', operator: 'in', value: ['shirts', 'pants', 'jackets'] }],
+    position: 1
+  },
+  {
+    name: "Women's",
+    slug: 'womens',
+    type: 'automated',
+    rules: [{ field: 'category', operator: 'in', value: ['dresses', 'tops', 'skirts'] }],
+    position: 2
+  },
+  {
+    name: 'Footwear',
+    slug: 'footwear',
+    type: 'automated',
+    rules: [{ field: 'category', operator: 'in', value: ['sneakers', 'formal', 'casual', 'sports'] }],
+    position: 3
+  },
+  {
+    name: 'Accessories',
+    slug: 'accessories',
+    type: 'automated',
+    rules: [{ field: 'category', operator: 'in', value: ['bags', 'watches', 'jewelry', 'belts'] }],
+    position: 4
+  }
+];
+
+// Create any default collection that does not exist yet
+const seedCollections = async () => {
+  try {
+    for (const collection of defaultCollections) {
+      const exists = await Collection.exists({ slug: collection.slug });
+      if (!exists) {
+        await Collection.create(collection);
+      }
+    }
+    console.log('Collections seeded successfully');
+  } catch (error) {
+    console.error('Error seeding collections:', error);
+  }
+};
+
+module.exports = seedCollections;
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const seedProducts = require('./products');
+const seedCollections = require('./collections');
+const { seedCategories, migrateProductCategories } = require('./categories');
+const backfillProductSlugs = require('./productSlugs');
 
 // Load environment variables
 dotenv.config();
@@ -14,8 +17,16 @@ const seedDatabase = async () => {
     });
     console.log('Connected to MongoDB');
 
+    // Seed categories and convert any string categories
+    await seedCategories();
+    await migrateProductCategories();
+
     // Seed products
     await seedProducts();
+    await backfillProductSlugs();
+
+    // Seed collections
+    await seedCollections();
 
     console.log('Database seeded successfully');
     process.exit(0);
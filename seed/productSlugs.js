@@ -0,0 +1,20 @@
+const Product = require('../models/Product');
+
+// Give every product created before slugs existed (or inserted in bulk) a slug
+const backfillProductSlugs = async () => {
+  const products = await Product.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+
+  for (const product of products) {
+    try {
+      await product.save();
+    } catch (error) {
+      console.error(`Error creating slug for product ${product._id}:`, error.message);
+    }
+  }
+
+  if (products.length > 0) {
+    console.log(`Created slugs for ${products.length} products`);
+  }
+};
+
+module.exports = backfillProductSlugs;
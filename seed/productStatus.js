@@ -0,0 +1,15 @@
+const Product = require('../models/Product');
+
+// Products created before the lifecycle statuses existed were all live
+const backfillProductStatus = async () => {
+  const result = await Product.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'active' } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} existing products as active`);
+  }
+};
+
+module.exports = backfillProductStatus;
@@ -1,4 +1,5 @@
 const Product = require('../models/Product');
+const { findOrCreateCategory } = require('./categories');
 
 const sampleProducts = [
   {
@@ -52,8 +53,16 @@ const seedProducts = async () => {
     // Clear existing products
     await Product.deleteMany({});
     
+    // Resolve category names to taxonomy references
+    const products = [];
+    for (const product of sampleProducts) {
+      const name = product.category.charAt(0).toUpperCase() + product.category.slice(1);
+      const category = await findOrCreateCategory(name);
+      products.push({ ...product, category: category._id });
+    }
+
     // Insert new products
-    const createdProducts = await Product.insertMany(sampleProducts);
+    const createdProducts = await Product.insertMany(products);
     console.log('Products seeded successfully:', createdProducts.length);
   } catch (error) {
     console.error('Error seeding products:', error);
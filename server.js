@@ -7,6 +7,7 @@ const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const passport = require('./config/passport');
 const { errorHandler } = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 const fs = require('fs');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -112,6 +113,7 @@ const corsOptions = {
   allowedHeaders: [
     'Content-Type',
     'Authorization',
+    'X-Cart-Token',
     'X-Requested-With',
     'Accept',
     'Origin',
@@ -120,7 +122,7 @@ const corsOptions = {
     'Access-Control-Allow-Methods',
     'Access-Control-Allow-Credentials'
   ],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Cart-Token'],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -225,6 +227,15 @@ const connectDB = async () => {
     });
     console.log('Connected to MongoDB successfully');
 
+    // Make sure the category taxonomy exists and older products reference it
+    const Category = require('./models/Category');
+    const { seedCategories, migrateProductCategories } = require('./seed/categories');
+    if (await Category.countDocuments() === 0) {
+      console.log('No categories found, seeding default categories...');
+      await seedCategories();
+    }
+    await migrateProductCategories();
+
     // Seed the database if it's empty
     const Product = require('./models/Product');
     const productCount = await Product.countDocuments();
@@ -234,6 +245,20 @@ const connectDB = async () => {
       await seedProducts();
       console.log('Products seeded successfully');
     }
+
+    const backfillProductSlugs = require('./seed/productSlugs');
+    await backfillProductSlugs();
+
+    const backfillProductStatus = require('./seed/productStatus');
+    await backfillProductStatus();
+
+    const Collection = require('./models/Collection');
+    const collectionCount = await Collection.countDocuments();
+    if (collectionCount === 0) {
+      console.log('No collections found, seeding default collections...');
+      const seedCollections = require('./seed/collections');
+      await seedCollections();
+    }
   } catch (err) {
     console.error('MongoDB connection error:', err.message);
     // Retry connection after 5 seconds
@@ -279,6 +304,20 @@ const adminRoutes = require('./routes/adminRoutes');
 const authRoutes = require('./routes/authRoutes');
 const blogRoutes = require('./routes/blogRoutes');
 const dashboardRoutes = require('./routes/dashboardRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const backInStockRoutes = require('./routes/backInStockRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const giftCardRoutes = require('./routes/giftCardRoutes');
+const storeCreditRoutes = require('./routes/storeCreditRoutes');
+const shippingZoneRoutes = require('./routes/shippingZoneRoutes');
+const taxRoutes = require('./routes/taxRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const abandonedCheckoutRoutes = require('./routes/abandonedCheckoutRoutes');
 
 // Log route registration
 console.log('=== Registering Routes ===');
@@ -293,6 +332,20 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/back-in-stock', backInStockRoutes);
+app.use('/api/wishlists', wishlistRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/store-credit', storeCreditRoutes);
+app.use('/api/shipping-zones', shippingZoneRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/abandoned-checkouts', abandonedCheckoutRoutes);
 
 // Log all registered routes
 app._router.stack.forEach(function(r){
@@ -365,6 +418,7 @@ process.on('uncaughtException', (err) => {
 const startServer = async () => {
   try {
     await connectDB();
+    startJobs();
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, () => {
       console.log(`Server is running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -0,0 +1,264 @@
+// Abandoned checkout recovery. A cart that was quoted for checkout and then left
+// alone gets a sequence of reminder emails (Settings.abandonedCheckout) with a
+// link that restores it. The sequence stops once the customer places an order.
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const Settings = require('../models/Settings');
+const AbandonedCheckout = require('../models/AbandonedCheckout');
+const AppError = require('./appError');
+const { sendEmail } = require('./sendEmail');
+const { findOrCreateCart, refreshCart, presentCart } = require('./cart');
+
+const HOUR = 60 * 60 * 1000;
+
+const restoreUrl = record => `${process.env.FRONTEND_URL}/cart/restore/${record.restoreToken}`;
+
+const snapshotItems = cart => cart.items.map(item => ({
+  product: item.product,
+  variant: item.variant || undefined,
+  sku: item.sku,
+  size: item.size,
+  quantity: item.quantity,
+  price: item.price
+}));
+
+const closeCheckout = (record, reason, now) => {
+  record.status = 'closed';
+  record.closeReason = reason;
+  record.closedAt = now;
+  return record.save();
+};
+
+/**
+ * Open a recovery record for every quoted cart left untouched for the first reminder delay
+ * @param {number} delayHours - Delay before the first reminder
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of checkouts found abandoned
+ */
+const detectAbandonedCheckouts = async (delayHours, now = new Date()) => {
+  const carts = await Cart.find({
+    'checkout.startedAt': { $exists: true },
+    'checkout.email': { $nin: [null, ''] },
+    'checkout.abandonedCheckout': { $exists: false },
+    'items.0': { $exists: true },
+    lastActivityAt: { $lte: new Date(now.getTime() - delayHours * HOUR) }
+  }).populate('user', 'name');
+
+  for (const cart of carts) {
+    const record = await AbandonedCheckout.create({
+      cart: cart._id,
+      user: cart.user?._id,
+      email: cart.checkout.email,
+      name: cart.user?.name,
+      items: snapshotItems(cart),
+      subtotal: cart.subtotal,
+      abandonedAt: cart.lastActivityAt
+    });
+    // Not cart.save(): that would count as activity and push the reminders back
+    await Cart.updateOne({ _id: cart._id }, { $set: { 'checkout.abandonedCheckout': record._id } });
+  }
+
+  return carts.length;
+};
+
+// The reminder's coupon code, if the coupon can still be used
+const offeredCoupon = async (code, now) => {
+  if (!code) return undefined;
+  const coupon = await Coupon.findOne({ code });
+  const reason = coupon ? coupon.unavailableReason(now) : 'does not exist';
+  if (reason) {
+    console.error(`Abandoned checkout coupon ${code} ${reason}; sending the reminder without it`);
+    return undefined;
+  }
+  return coupon.code;
+};
+
+const reminderSubject = (step, couponCode) => {
+  if (couponCode) return 'A discount on the items in your cart';
+  return step === 0 ? 'You left something in your cart' : 'Your cart is still waiting for you';
+};
+
+/**
+ * Send the next reminder to every abandoned checkout that is due one. Delays count
+ * from the cart's last activity, and at least the gap between two steps is kept
+ * between reminders, so a customer never gets two at once.
+ * @param {Array} schedule - Reminder steps ({ delayHours, couponCode }), shortest delay first
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const sendDueReminders = async (schedule, now = new Date()) => {
+  const records = await AbandonedCheckout.find({ status: 'pending', remindersSent: { $lt: schedule.length } });
+  let sent = 0;
+
+  for (const record of records) {
+    const cart = record.cart ? await Cart.findById(record.cart) : null;
+    if (!cart || cart.items.length === 0) {
+      await closeCheckout(record, 'Cart emptied', now);
+      continue;
+    }
+
+    const step = schedule[record.remindersSent];
+    const previous = schedule[record.remindersSent - 1];
+    const dueAt = Math.max(
+      cart.lastActivityAt.getTime() + step.delayHours * HOUR,
+      previous ? record.lastReminderAt.getTime() + (step.delayHours - previous.delayHours) * HOUR : 0
+    );
+    if (dueAt > now.getTime()) continue;
+
+    // Show what can still be bought; the cart itself is left as the customer had it
+    await refreshCart(cart);
+    if (cart.items.length === 0) {
+      await closeCheckout(record, 'Items no longer available', now);
+      continue;
+    }
+
+    try {
+      const couponCode = await offeredCoupon(step.couponCode, now);
+      const { items, subtotal } = await presentCart(cart);
+      await sendEmail(
+        record.email,
+        reminderSubject(record.remindersSent, couponCode),
+        'abandonedCart',
+        {
+          name: record.name,
+          items: items.map(item => ({
+            name: item.size ? `${item.product.name} (${item.size})` : item.product.name,
+            image: item.product.image,
+            quantity: item.quantity,
+            price: item.price
+          })),
+          total: subtotal,
+          couponCode,
+          cartUrl: restoreUrl(record)
+        }
+      );
+
+      record.remindersSent += 1;
+      record.lastReminderAt = now;
+      if (couponCode) record.couponCode = couponCode;
+      await record.save();
+      sent += 1;
+    } catch (error) {
+      console.error(`Error sending abandoned checkout reminder to ${record.email}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Find newly abandoned checkouts and send the reminders that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { detected, sent }
+ */
+const processAbandonedCheckouts = async (now = new Date()) => {
+  const settings = await Settings.getSettings();
+  const { enabled, reminders } = settings.abandonedCheckout;
+  if (!enabled || reminders.length === 0) return { detected: 0, sent: 0 };
+
+  const schedule = [...reminders].sort((a, b) => a.delayHours - b.delayHours);
+  const detected = await detectAbandonedCheckouts(schedule[0].delayHours, now);
+  const sent = await sendDueReminders(schedule, now);
+  return { detected, sent };
+};
+
+/**
+ * Stop the reminders for a customer who has ordered. The order is credited to one
+ * open abandoned checkout, the quoted cart's first, and the customer's others are closed.
+ * Never fails the order itself.
+ * @param {Object} order - The order just placed
+ * @param {Object} options - { cart } id of the cart the order was quoted from
+ */
+const markCheckoutsRecovered = async (order, { cart } = {}) => {
+  try {
+    const owners = [];
+    if (cart) owners.push({ cart });
+    if (order.user) owners.push({ user: order.user });
+    if (order.customerEmail) owners.push({ email: order.customerEmail.toLowerCase() });
+    if (owners.length === 0) return;
+
+    const records = await AbandonedCheckout.find({ status: 'pending', $or: owners })
+      .select('cart user email abandonedAt')
+      .sort({ abandonedAt: -1 });
+    if (records.length === 0) return;
+
+    // Closest match first: the quoted cart, then the customer's account, then their email
+    const rank = record => owners.findIndex(owner => {
+      const [field, value] = Object.entries(owner)[0];
+      return String(record[field]) === String(value);
+    });
+    const recovered = records.reduce((best, record) => (rank(record) < rank(best) ? record : best));
+
+    const now = new Date();
+    await AbandonedCheckout.updateOne({ _id: recovered._id, status: 'pending' }, {
+      $set: {
+        status: 'recovered',
+        order: order._id,
+        recoveredAt: now,
+        recoveredAmount: Math.round((order.totalAmount / (order.exchangeRate || 1)) * 100) / 100
+      }
+    });
+    await AbandonedCheckout.updateMany({
+      _id: { $in: records.filter(record => record !== recovered).map(record => record._id) },
+      status: 'pending'
+    }, {
+      $set: { status: 'closed', closeReason: 'Customer ordered', closedAt: now }
+    });
+  } catch (error) {
+    console.error('Error marking abandoned checkouts recovered:', error);
+  }
+};
+
+/**
+ * Put an abandoned checkout's items back in the requester's cart. A guest gets their
+ * own cart back; anyone else has the items added to the cart they are using now.
+ * @param {string} token - Restore token from the reminder link
+ * @param {Object} req - The request, for its user or cart token
+ * @returns {Promise<Object>} - { cart, notices, couponCode }
+ */
+const restoreAbandonedCheckout = async (token, req) => {
+  const record = await AbandonedCheckout.findOne({ restoreToken: String(token) });
+  if (!record) {
+    throw new AppError('This link is no longer valid', 404);
+  }
+
+  const source = record.cart ? await Cart.findById(record.cart) : null;
+  const cart = !req.user && source && !source.user ? source : await findOrCreateCart(req);
+
+  if (!source || !cart._id.equals(source._id)) {
+    const items = source && source.items.length > 0 ? source.items : record.items;
+    items.forEach(item => {
+      if (cart.findItem(item.product, item.variant)) return;
+      cart.items.push({
+        product: item.product,
+        variant: item.variant || null,
+        sku: item.sku,
+        size: item.size,
+        quantity: item.quantity,
+        price: item.price
+      });
+    });
+  }
+
+  const notices = await refreshCart(cart);
+  await cart.save();
+
+  if (!record.restoredAt) {
+    record.restoredAt = new Date();
+    await record.save();
+  }
+
+  return {
+    cart,
+    notices,
+    couponCode: record.status === 'pending' ? record.couponCode : undefined
+  };
+};
+
+module.exports = {
+  detectAbandonedCheckouts,
+  sendDueReminders,
+  processAbandonedCheckouts,
+  markCheckoutsRecovered,
+  restoreAbandonedCheckout
+};
@@ -0,0 +1,80 @@
+const Product = require('../models/Product');
+const BackInStockSubscription = require('../models/BackInStockSubscription');
+const { sendEmail } = require('./sendEmail');
+
+/**
+ * Email everyone waiting for a product/variant that is available again.
+ * Each subscription is closed once its email has been sent.
+ * @param {string} productId - Product that was restocked
+ * @param {string} variantId - Variant that was restocked, if any
+ * @returns {Promise<number>} - Number of customers notified
+ */
+const notifyBackInStock = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') return 0;
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  // Units held for checkouts awaiting payment cannot be bought
+  const available = variant ? variant.stock - (variant.reserved || 0) : product.stock - (product.reserved || 0);
+  if (available <= 0) return 0;
+
+  const subscriptions = await BackInStockSubscription.find({
+    product: product._id,
+    variant: variant ? variant._id : null,
+    status: 'active'
+  }).populate('user', 'name');
+
+  const label = product.getVariantLabel(variant);
+  let notified = 0;
+
+  for (const subscription of subscriptions) {
+    try {
+      await sendEmail(
+        subscription.email,
+        `${product.name} is back in stock`,
+        'backInStock',
+        {
+          name: subscription.user?.name,
+          product: {
+            name: label ? `${product.name} (${label})` : product.name,
+            description: product.description,
+            image: (variant && variant.image) || product.getPrimaryImage(),
+            price: product.getVariantPrice(variant)
+          },
+          productUrl: `${process.env.FRONTEND_URL}/product/${product.slug || product._id}`
+        }
+      );
+
+      subscription.status = 'notified';
+      subscription.notifiedAt = new Date();
+      await subscription.save();
+      notified += 1;
+    } catch (error) {
+      console.error(`Error sending back in stock email to ${subscription.email}:`, error.message);
+    }
+  }
+
+  return notified;
+};
+
+// Movements that put stock back on the shelf. A released checkout hold does not:
+// its units were never sold, only set aside for a while.
+const RESTOCK_TYPES = ['cancellation', 'return', 'adjustment', 'import'];
+
+// Notify subscribers for restock movements that took an item from sold out to available.
+// Runs in the background so stock changes never wait on email delivery.
+const notifyRestockedItems = (movements) => {
+  movements
+    .filter(movement => RESTOCK_TYPES.includes(movement.type) && movement.quantity > 0
+      && movement.stockAfter > 0 && movement.stockAfter - movement.quantity <= 0)
+    .forEach(movement => {
+      notifyBackInStock(movement.product, movement.variant).catch(error => {
+        console.error('Error sending back in stock notifications:', error);
+      });
+    });
+};
+
+module.exports = {
+  notifyBackInStock,
+  notifyRestockedItems
+};
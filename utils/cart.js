@@ -0,0 +1,289 @@
+// Server-side carts for users and guests.
+//
+// Guests are identified by a cart token, sent back as the cartToken cookie or the
+// X-Cart-Token header. Every read and change re-checks the items against the
+// catalog so prices and stock in the cart are never stale.
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const AppError = require('./appError');
+
+const CART_COOKIE = 'cartToken';
+const CART_HEADER = 'x-cart-token';
+
+// Tokens are 24 random bytes in hex (see the Cart model). Anything else, such as an
+// object cookie-parser built from a `j:` cookie, must never reach a query filter.
+const CART_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+const isCartToken = token => typeof token === 'string' && CART_TOKEN_PATTERN.test(token);
+
+const getCartToken = (req) => [req.cookies?.[CART_COOKIE], req.headers[CART_HEADER]].find(isCartToken) || null;
+
+const setCartCookie = (res, token) => {
+  res.cookie(CART_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    maxAge: Cart.GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearCartCookie = (res) => {
+  res.clearCookie(CART_COOKIE);
+};
+
+// The cart for this request, or null if there is none yet
+const findCart = async (req) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id });
+  }
+  const token = getCartToken(req);
+  if (!token) return null;
+  return Cart.findOne({ token, user: { $exists: false } });
+};
+
+// The cart for this request, starting an unsaved one when needed
+const findOrCreateCart = async (req) => {
+  const cart = await findCart(req);
+  if (cart) return cart;
+  return new Cart(req.user ? { user: req.user._id } : {});
+};
+
+const loadProducts = async (items) => {
+  const ids = [...new Set(items.map(item => String(item.product._id || item.product)))];
+  const products = await Product.find({ _id: { $in: ids } })
+    .select('name slug sku price compareAtPrice sale stock status variants image images');
+  return new Map(products.map(product => [String(product._id), product]));
+};
+
+/**
+ * Check every item against the catalog: drop products that are gone or no longer
+ * sold, cap quantities at the stock left and pick up price changes
+ * @param {Object} cart - Cart document (not saved here)
+ * @returns {Promise<Array>} - Notices describing what changed
+ */
+const refreshCart = async (cart) => {
+  const notices = [];
+  if (cart.items.length === 0) return notices;
+
+  const products = await loadProducts(cart.items);
+
+  [...cart.items].forEach(item => {
+    const product = products.get(String(item.product._id || item.product));
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    const name = product ? product.name : 'An item';
+
+    if (!product || product.status !== 'active' || (item.variant && !variant)) {
+      notices.push({ type: 'removed', item: item._id, message: `${name} is no longer available and was removed from your cart` });
+      item.deleteOne();
+      return;
+    }
+
+    const available = variant ? variant.stock : product.stock;
+    if (available < 1) {
+      notices.push({ type: 'removed', item: item._id, message: `${name} is out of stock and was removed from your cart` });
+      item.deleteOne();
+      return;
+    }
+    if (item.quantity > available) {
+      notices.push({ type: 'quantity', item: item._id, message: `Only ${available} of ${name} left; your cart was updated` });
+      item.quantity = available;
+    }
+
+    const price = product.getVariantPrice(variant);
+    if (price !== item.price) {
+      notices.push({
+        type: 'price',
+        item: item._id,
+        message: `The price of ${name} changed from ${item.price} to ${price}`,
+        previousPrice: item.price,
+        price
+      });
+      item.price = price;
+    }
+  });
+
+  return notices;
+};
+
+/**
+ * Add a product to the cart, or increase the quantity already in it
+ * @param {Object} cart - Cart document (not saved here)
+ * @param {Object} params - { product, variant | sku | size, quantity }
+ * @returns {Promise<Object>} - The cart item
+ */
+const addCartItem = async (cart, { product: productId, quantity = 1, ...selection }) => {
+  const amount = parseInt(quantity);
+  if (!amount || amount < 1) {
+    throw new AppError('Quantity must be at least 1', 400);
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') {
+    throw new AppError('Product not found', 404);
+  }
+
+  let variant = null;
+  if (product.variants && product.variants.length > 0) {
+    variant = product.findVariant(selection);
+    if (!variant) {
+      throw new AppError(`Please select a valid option for ${product.name}`, 400);
+    }
+  }
+
+  const existing = cart.findItem(product._id, variant?._id);
+  const wanted = (existing ? existing.quantity : 0) + amount;
+  const available = variant ? variant.stock : product.stock;
+  if (wanted > available) {
+    throw new AppError(available > 0
+      ? `Only ${available} of ${product.name} left in stock`
+      : `${product.name} is out of stock`, 400);
+  }
+
+  const price = product.getVariantPrice(variant);
+  if (existing) {
+    existing.quantity = wanted;
+    existing.price = price;
+    return existing;
+  }
+
+  cart.items.push({
+    product: product._id,
+    variant: variant ? variant._id : null,
+    sku: variant ? variant.sku : product.sku,
+    size: product.getVariantLabel(variant) || undefined,
+    quantity: amount,
+    price
+  });
+  return cart.items[cart.items.length - 1];
+};
+
+// Set an item's quantity; zero removes it
+const updateCartItem = async (cart, itemId, quantity) => {
+  const item = cart.items.id(itemId);
+  if (!item) {
+    throw new AppError('Item not found', 404);
+  }
+
+  const amount = parseInt(quantity);
+  if (isNaN(amount) || amount < 0) {
+    throw new AppError('Quantity must be zero or more', 400);
+  }
+  if (amount === 0) {
+    item.deleteOne();
+    return null;
+  }
+
+  const product = await Product.findById(item.product);
+  const variant = product && item.variant ? product.variants.id(item.variant) : null;
+  const available = product ? (variant ? variant.stock : product.stock) : 0;
+  if (amount > available) {
+    throw new AppError(available > 0
+      ? `Only ${available} of ${product.name} left in stock`
+      : 'This item is out of stock', 400);
+  }
+
+  item.quantity = amount;
+  return item;
+};
+
+const presentCart = async (cart, notices = []) => {
+  const products = await loadProducts(cart.items);
+
+  const items = cart.items.map(item => {
+    const product = products.get(String(item.product));
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    return {
+      _id: item._id,
+      product: product ? {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        image: (variant && variant.image) || product.getPrimaryImage(),
+        compareAtPrice: product.getCompareAtPrice(),
+        onSale: !!product.sale?.active
+      } : item.product,
+      variant: item.variant,
+      sku: item.sku,
+      size: item.size,
+      quantity: item.quantity,
+      price: item.price,
+      lineTotal: Math.round(item.price * item.quantity * 100) / 100,
+      stock: product ? (variant ? variant.stock : product.stock) : 0
+    };
+  });
+
+  return {
+    _id: cart._id,
+    token: cart.user ? undefined : cart.token,
+    items,
+    itemCount: cart.itemCount,
+    subtotal: cart.subtotal,
+    notices,
+    updatedAt: cart.updatedAt
+  };
+};
+
+/**
+ * Move a guest cart into a user's cart. Quantities of the same item are added
+ * together and capped at the stock left; the guest cart is then deleted.
+ * @param {string} token - Guest cart token
+ * @param {string} userId - User signing in
+ * @returns {Promise<Object|null>} - The user's cart, or null when there was no guest cart
+ */
+const mergeGuestCart = async (token, userId) => {
+  if (!isCartToken(token)) return null;
+  const guestCart = await Cart.findOne({ token, user: { $exists: false } });
+  if (!guestCart) return null;
+
+  const cart = await Cart.findOne({ user: userId }) || new Cart({ user: userId });
+  guestCart.items.forEach(guestItem => {
+    const existing = cart.findItem(guestItem.product, guestItem.variant);
+    if (existing) {
+      existing.quantity += guestItem.quantity;
+    } else {
+      cart.items.push({
+        product: guestItem.product,
+        variant: guestItem.variant,
+        sku: guestItem.sku,
+        size: guestItem.size,
+        quantity: guestItem.quantity,
+        price: guestItem.price,
+        addedAt: guestItem.addedAt
+      });
+    }
+  });
+
+  await refreshCart(cart);
+  await cart.save();
+  await guestCart.deleteOne();
+  return cart;
+};
+
+// Merge the request's guest cart into the user who just signed in.
+// A failed merge never blocks the sign-in itself.
+const mergeCartOnLogin = async (req, res, user) => {
+  try {
+    const cart = await mergeGuestCart(getCartToken(req), user._id);
+    if (cart) clearCartCookie(res);
+    return cart;
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  CART_COOKIE,
+  isCartToken,
+  getCartToken,
+  setCartCookie,
+  clearCartCookie,
+  findCart,
+  findOrCreateCart,
+  refreshCart,
+  addCartItem,
+  updateCartItem,
+  presentCart,
+  mergeGuestCart,
+  mergeCartOnLogin
+};
@@ -0,0 +1,226 @@
+// Coupon rules: eligibility, discount amounts and usage limits.
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const AppError = require('./appError');
+const { escapeRegex } = require('./productQuery');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Orders that count towards a customer's uses of a coupon
+const customerUses = (coupon, { user, email }) => {
+  const owners = [];
+  if (user) owners.push({ user: user._id || user });
+  if (email) owners.push({ customerEmail: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+  if (owners.length === 0) return 0;
+
+  return Order.countDocuments({
+    'discounts.coupon': coupon._id,
+    status: { $nin: ['cancelled', 'dismissed'] },
+    $or: owners
+  });
+};
+
+// The order lines a coupon applies to
+const eligibleLines = async (coupon, lines, productCategories) => {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) return lines;
+
+  const categoryIds = coupon.categories.length
+    ? new Set((await Category.expandIds(coupon.categories.map(String))).map(String))
+    : new Set();
+  const productIds = new Set(coupon.products.map(String));
+
+  return lines.filter(line =>
+    productIds.has(String(line.product)) || categoryIds.has(productCategories.get(String(line.product)))
+  );
+};
+
+/**
+ * Work out the discounts for the given coupon codes
+ * @param {Object} params - { codes, lines: [{ product, price, quantity }], user, email, rate }
+ *   `rate` converts fixed amounts and minimum spends from the base currency to the lines' currency
+ * @returns {Promise<Object>} - { discounts: [{ coupon, code, type, amount, description }], freeShipping }
+ *   Item discounts carry their amount; a free-shipping coupon is returned separately
+ *   so the caller can price it once shipping is known.
+ */
+const applyCoupons = async ({ codes = [], lines, user, email, rate = 1 }) => {
+  const uniqueCodes = [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+  if (uniqueCodes.length === 0) return { discounts: [], freeShipping: null };
+
+  const coupons = await Coupon.find({ code: { $in: uniqueCodes } });
+  const byCode = new Map(coupons.map(coupon => [coupon.code, coupon]));
+
+  const missing = uniqueCodes.find(code => !byCode.has(code));
+  if (missing) {
+    throw new AppError(`Coupon ${missing} is not valid`, 400);
+  }
+  if (coupons.length > 1 && coupons.some(coupon => !coupon.stackable)) {
+    const single = coupons.find(coupon => !coupon.stackable);
+    throw new AppError(`Coupon ${single.code} cannot be combined with other coupons`, 400);
+  }
+
+  const products = await Product.find({ _id: { $in: lines.map(line => line.product) } }).select('category');
+  const productCategories = new Map(products.map(product => [String(product._id), String(product.category)]));
+  const itemsPrice = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  const discounts = [];
+  let freeShipping = null;
+  let remaining = itemsPrice;
+
+  for (const code of uniqueCodes) {
+    const coupon = byCode.get(code);
+    const reason = coupon.unavailableReason();
+    if (reason) {
+      throw new AppError(`Coupon ${code} ${reason}`, 400);
+    }
+
+    if (coupon.usageLimitPerCustomer && await customerUses(coupon, { user, email }) >= coupon.usageLimitPerCustomer) {
+      throw new AppError(`You have already used coupon ${code}`, 400);
+    }
+
+    const qualifying = await eligibleLines(coupon, lines, productCategories);
+    if (qualifying.length === 0) {
+      throw new AppError(`Coupon ${code} does not apply to the items in your order`, 400);
+    }
+
+    const qualifyingTotal = qualifying.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const minimumSpend = roundMoney(coupon.minimumSpend * rate);
+    if (qualifyingTotal < minimumSpend) {
+      throw new AppError(`Coupon ${code} needs a minimum spend of ${minimumSpend}`, 400);
+    }
+
+    const entry = {
+      coupon: coupon._id,
+      code,
+      type: coupon.type,
+      description: coupon.description
+    };
+
+    if (coupon.type === 'free_shipping') {
+      freeShipping = entry;
+      continue;
+    }
+
+    const amount = coupon.type === 'percent'
+      ? qualifyingTotal * coupon.value / 100
+      : Math.min(roundMoney(coupon.value * rate), qualifyingTotal);
+    entry.amount = roundMoney(Math.min(amount, remaining));
+    remaining -= entry.amount;
+    discounts.push(entry);
+  }
+
+  return { discounts, freeShipping };
+};
+
+// CouponUsage counters a customer's orders count against
+const customerKeys = ({ user, email } = {}) => {
+  const keys = [];
+  if (user) keys.push(`user:${user._id || user}`);
+  if (email) keys.push(`email:${String(email).trim().toLowerCase()}`);
+  return keys;
+};
+
+const releaseCustomerUses = async (couponIds, keys) => {
+  if (couponIds.length === 0 || keys.length === 0) return;
+  await CouponUsage.updateMany(
+    { coupon: { $in: couponIds }, customer: { $in: keys }, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+// Take one of the customer's uses of a coupon with a per-customer limit, or return
+// false if they have none left. A new counter starts from the orders already placed.
+const takeCustomerUses = async (coupon, customer) => {
+  const taken = [];
+  for (const key of customerKeys(customer)) {
+    const filter = { coupon: coupon._id, customer: key };
+    try {
+      await CouponUsage.updateOne(
+        filter,
+        { $setOnInsert: { count: await customerUses(coupon, customer) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another order created the counter first
+      if (error.code !== 11000) throw error;
+    }
+
+    const updated = await CouponUsage.findOneAndUpdate(
+      { ...filter, count: { $lt: coupon.usageLimitPerCustomer } },
+      { $inc: { count: 1 } }
+    );
+    if (!updated) {
+      await releaseCustomerUses([coupon._id], taken);
+      return false;
+    }
+    taken.push(key);
+  }
+  return true;
+};
+
+/**
+ * Count the order's coupons as used. The validity window is checked again, and
+ * global and per-customer limits are enforced atomically, so neither two customers
+ * nor two orders from one customer can take the last use at once.
+ * @param {Array} discounts - The order's discounts
+ * @param {Object} customer - { user, email }
+ */
+const redeemCoupons = async (discounts = [], { user, email } = {}) => {
+  const couponIds = [...new Set(discounts.map(discount => String(discount.coupon)))];
+  const customer = { user, email };
+  const redeemed = [];
+  const now = new Date();
+
+  for (const couponId of couponIds) {
+    const updated = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        isActive: true,
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+          { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      await releaseCouponIds(redeemed, customer);
+      const coupon = await Coupon.findById(couponId);
+      const reason = coupon?.unavailableReason(now) || 'is no longer available';
+      throw new AppError(`${coupon ? `Coupon ${coupon.code}` : 'This coupon'} ${reason}`, 409);
+    }
+
+    if (updated.usageLimitPerCustomer && !await takeCustomerUses(updated, customer)) {
+      await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      await releaseCouponIds(redeemed, customer);
+      throw new AppError(`You have already used coupon ${updated.code}`, 409);
+    }
+    redeemed.push(couponId);
+  }
+};
+
+const releaseCouponIds = async (couponIds, customer) => {
+  if (couponIds.length === 0) return;
+  await Coupon.updateMany({ _id: { $in: couponIds }, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await releaseCustomerUses(couponIds, customerKeys(customer));
+};
+
+// Give back a cancelled order's coupon uses
+const releaseCoupons = async (order) => {
+  if (!order.couponsRedeemed) return;
+  await releaseCouponIds(
+    [...new Set((order.discounts || []).map(discount => String(discount.coupon)))],
+    { user: order.user, email: order.customerEmail }
+  );
+  order.couponsRedeemed = false;
+};
+
+module.exports = {
+  applyCoupons,
+  redeemCoupons,
+  releaseCoupons
+};
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, embedded commas, quotes and newlines)
+
+// Text starting with one of these is run as a formula by spreadsheet apps, so the
+// writer prefixes it with a quote and the reader takes that quote off again
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const unescapeFormula = value => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Array<Object>} - One object per data row, with `_line` set to its line number
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push({ values: row, line: rowLine });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ values: row, line: rowLine });
+  }
+
+  const nonEmpty = rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].values.map(header => header.trim());
+  return nonEmpty.slice(1).map(({ values, line: rowNumber }) => headers.reduce((record, header, index) => {
+    record[header] = unescapeFormula((values[index] || '').trim());
+    return record;
+  }, { _line: rowNumber }));
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<Object>} rows - Records to write
+ * @param {Array<string>} columns - Column order (also the header row)
+ * @returns {string} - CSV content
+ */
+const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n');
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,92 @@
+// Presentment currencies. Catalog prices are kept in the store's base currency
+// (Store.currency) and converted with admin-managed exchange rates, unless a
+// product has a fixed price for the currency.
+const Store = require('../models/Store');
+const ExchangeRate = require('../models/ExchangeRate');
+const AppError = require('./appError');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+/**
+ * Resolve the currency to price in
+ * @param {string} requested - ISO code from the request; empty for the base currency
+ * @returns {Promise<Object>} - { currency, baseCurrency, rate }
+ */
+const getCurrencyContext = async (requested) => {
+  const store = await Store.getCurrent();
+  const baseCurrency = store?.currency || 'USD';
+  const currency = String(requested || baseCurrency).trim().toUpperCase();
+  if (currency === baseCurrency) {
+    return { currency, baseCurrency, rate: 1 };
+  }
+
+  const exchangeRate = await ExchangeRate.findOne({ currency });
+  if (!exchangeRate) {
+    throw new AppError(`Currency ${currency} is not supported`, 400);
+  }
+  return { currency, baseCurrency, rate: exchangeRate.rate };
+};
+
+const isBaseCurrency = context => context.currency === context.baseCurrency;
+
+// Base-currency amount in the context's currency; empty amounts stay empty
+const convertAmount = (amount, context) => (
+  amount === undefined || amount === null || isBaseCurrency(context) ? amount : roundMoney(amount * context.rate)
+);
+
+// Unit price of a product (or variant) in the context's currency. A fixed price
+// for the currency wins over conversion unless the variant has its own price or
+// a sale is running.
+const priceIn = (product, variant, context) => {
+  const basePrice = product.getVariantPrice(variant);
+  if (isBaseCurrency(context)) return basePrice;
+
+  const ownVariantPrice = variant && variant.price !== undefined && variant.price !== null;
+  const fixed = product.currencyPrices?.get(context.currency);
+  if (!ownVariantPrice && !product.sale?.active && fixed !== undefined && fixed !== null) {
+    return fixed;
+  }
+  return convertAmount(basePrice, context);
+};
+
+// Product JSON with its prices in the context's currency
+const localizeProduct = (product, context) => {
+  if (isBaseCurrency(context)) return product;
+
+  const data = product.toJSON();
+  data.currency = context.currency;
+  data.price = priceIn(product, null, context);
+  data.compareAtPrice = convertAmount(product.compareAtPrice, context);
+  if (data.sale) {
+    data.sale.price = convertAmount(product.sale.price, context);
+    data.sale.originalPrice = convertAmount(product.sale.originalPrice, context);
+  }
+  if (data.variants) {
+    data.variants.forEach((variant, index) => {
+      variant.price = convertAmount(product.variants[index].price, context);
+    });
+  }
+  return data;
+};
+
+// Amount in the smallest currency unit, as Stripe expects it
+const toMinorUnits = (amount, currency) => (
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? Math.round(amount) : Math.round(amount * 100)
+);
+
+// Aggregation expression for an order amount in the base currency, at the rate
+// the order was placed with. Orders from before multi-currency have no rate.
+const baseAmountExpr = amount => ({ $divide: [amount, { $ifNull: ['$exchangeRate', 1] }] });
+
+module.exports = {
+  getCurrencyContext,
+  isBaseCurrency,
+  convertAmount,
+  priceIn,
+  localizeProduct,
+  toMinorUnits,
+  baseAmountExpr
+};
@@ -286,10 +286,16 @@ const getEmailTemplate = (type, data) => {
               <p style="color: #333; margin: 0; text-align: right; font-weight: 500;">Total: $${(data.total || 0).toFixed(2)}</p>
             </div>
           </div>
+          ${data.couponCode ? `
+            <div style="background-color: white; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
+              <p style="color: #666; margin: 0 0 10px 0;">Use this code at checkout for a discount:</p>
+              <p style="color: #333; margin: 0; font-size: 20px; font-weight: 600; letter-spacing: 2px;">${data.couponCode}</p>
+            </div>
+          ` : ''}
           <div style="text-align: center; margin: 30px 0;">
             <a href="${data.cartUrl || '#'}" style="background-color: #333; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">Return to Cart</a>
           </div>
-          <p style="color: #666; line-height: 1.6;">Items in your cart are reserved for 24 hours.</p>
+          <p style="color: #666; line-height: 1.6;">Items in your cart are not reserved and may sell out.</p>
           <p style="color: #999; font-size: 12px; margin-top: 30px;">If you have any questions, please contact our support team.</p>
         </div>
       </div>
@@ -385,6 +391,101 @@ const getEmailTemplate = (type, data) => {
       </div>
     ` : '',
 
+    wishlistLowStock: data.product ? `
+      <div style="${styles.container}">
+        <div style="${styles.header}">
+          <h1 style="${styles.title}">Almost Gone!</h1>
+          <p style="${styles.subtitle}">An item on your wishlist is running low</p>
+        </div>
+        <div style="${styles.content}">
+          <p style="color: #374151; line-height: 1.6;">Hi ${data.name || 'there'},</p>
+          <p style="color: #374151; line-height: 1.6;">Only ${data.product.stock} left of an item you saved. Get it before it sells out:</p>
+
+          <div style="${styles.section}">
+            <div style="display: flex; align-items: center; gap: 20px;">
+              <img src="${data.product.image || ''}" alt="${data.product.name || 'Product'}" style="width: 120px; height: 120px; object-fit: cover; border-radius: 8px;">
+              <div style="flex: 1;">
+                <h2 style="color: #1f2937; margin: 0 0 10px 0;">${data.product.name || 'Product'}</h2>
+                <span style="${styles.price}">$${(data.product.price || 0).toFixed(2)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${data.productUrl || '#'}" style="${styles.button}">Shop Now</a>
+          </div>
+
+          <div style="${styles.footer}">
+            <p style="color: #6b7280; font-size: 12px;">You can turn off these emails in your wishlist settings.</p>
+          </div>
+        </div>
+      </div>
+    ` : '',
+
+    giftCard: data.code ? `
+      <div style="${styles.container}">
+        <div style="${styles.header}">
+          <h1 style="${styles.title}">You've Got a Gift Card! 🎁</h1>
+          <p style="${styles.subtitle}">$${(data.amount || 0).toFixed(2)} to spend in our store</p>
+        </div>
+        <div style="${styles.content}">
+          <p style="color: #374151; line-height: 1.6;">Hi ${data.name || 'there'},</p>
+          ${data.message ? `<div style="${styles.highlight}"><p style="color: #374151; margin: 0; font-style: italic;">"${data.message}"</p></div>` : ''}
+
+          <div style="${styles.section}; text-align: center;">
+            <p style="color: #6b7280; margin: 0 0 10px 0;">Your gift card code</p>
+            <p style="color: #1f2937; font-size: 24px; font-weight: 600; letter-spacing: 2px; margin: 0;">${data.code}</p>
+            <p style="${styles.price}; margin: 10px 0 0 0;">$${(data.amount || 0).toFixed(2)}</p>
+          </div>
+
+          <p style="color: #374151; line-height: 1.6;">Enter the code at checkout to use it. Anything you don't spend stays on the card for next time.</p>
+          ${data.expiresAt ? `<p style="color: #6b7280; line-height: 1.6;">Valid until ${data.expiresAt}.</p>` : ''}
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${data.shopUrl || '#'}" style="${styles.button}">Start Shopping</a>
+          </div>
+
+          <div style="${styles.footer}">
+            <p style="color: #6b7280; font-size: 12px;">Keep this email safe: anyone with the code can spend the balance.</p>
+          </div>
+        </div>
+      </div>
+    ` : '',
+
+    lowStockDigest: data.items && data.since ? `
+      <div style="${styles.container}">
+        <div style="${styles.header}">
+          <h1 style="${styles.title}">Low Stock Digest</h1>
+          <p style="${styles.subtitle}">${data.items.length} item${data.items.length === 1 ? '' : 's'} dropped below the reorder level</p>
+        </div>
+        <div style="${styles.content}">
+          <p style="color: #374151; line-height: 1.6;">Hi ${data.name || 'there'},</p>
+          <p style="color: #374151; line-height: 1.6;">These items fell below their reorder threshold since ${data.since || 'the last digest'}:</p>
+
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+            <tr style="background-color: #f8f9fa;">
+              <th style="text-align: left; padding: 8px; color: #1f2937;">Product</th>
+              <th style="text-align: left; padding: 8px; color: #1f2937;">SKU</th>
+              <th style="text-align: right; padding: 8px; color: #1f2937;">Stock</th>
+              <th style="text-align: right; padding: 8px; color: #1f2937;">Threshold</th>
+            </tr>
+            ${data.items.map(item => `
+              <tr style="border-top: 1px solid #e5e7eb;">
+                <td style="padding: 8px; color: #374151;">${item.product.name}${item.label ? ` (${item.label})` : ''}</td>
+                <td style="padding: 8px; color: #6b7280;">${item.sku || '-'}</td>
+                <td style="padding: 8px; text-align: right; color: ${item.stock === 0 ? '#dc2626' : '#374151'}; font-weight: 600;">${item.stock}</td>
+                <td style="padding: 8px; text-align: right; color: #6b7280;">${item.threshold}</td>
+              </tr>
+            `).join('')}
+          </table>
+
+          <div style="${styles.footer}">
+            <p style="color: #6b7280; font-size: 12px;">The full list is in the low-stock report on the admin dashboard.</p>
+          </div>
+        </div>
+      </div>
+    ` : '',
+
     newsletterWelcome: `
       <div style="${styles.container}">
         <div style="${styles.header}">
@@ -0,0 +1,121 @@
+const GiftCard = require('../models/GiftCard');
+const AppError = require('./appError');
+const { sendEmail } = require('./sendEmail');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+// Cards without an explicit expiry are valid for this long from activation
+const DEFAULT_VALIDITY_DAYS = 365;
+
+const defaultExpiry = () => new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+const normalizeCode = code => String(code || '').trim().toUpperCase();
+
+// A gift card that can be spent now, or an error saying why not
+const findUsableGiftCard = async (code) => {
+  const card = await GiftCard.findOne({ code: normalizeCode(code) });
+  if (!card || card.status === 'pending') {
+    throw new AppError(`Gift card ${normalizeCode(code)} is not valid`, 400);
+  }
+  if (card.status === 'disabled') {
+    throw new AppError(`Gift card ${card.maskedCode()} has been disabled`, 400);
+  }
+  if (card.isExpired()) {
+    throw new AppError(`Gift card ${card.maskedCode()} has expired`, 400);
+  }
+  if (card.balance <= 0) {
+    throw new AppError(`Gift card ${card.maskedCode()} has no balance left`, 400);
+  }
+  return card;
+};
+
+/**
+ * Take an amount off a gift card. Fails if the balance has dropped below it meanwhile.
+ * @param {Object} card - Gift card document
+ * @param {number} amount - Amount to take (positive)
+ * @param {Object} params - { order, actor, note }
+ * @returns {Promise<Object>} - The updated card
+ */
+const chargeGiftCard = async (card, amount, { order, actor, note } = {}) => {
+  const charge = roundMoney(amount);
+  const updated = await GiftCard.findOneAndUpdate(
+    {
+      _id: card._id,
+      status: 'active',
+      balance: { $gte: charge },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    },
+    { $inc: { balance: -charge } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new AppError(`Gift card ${card.maskedCode()} could not be charged`, 409);
+  }
+
+  await GiftCard.updateOne({ _id: card._id }, {
+    $push: {
+      transactions: { type: 'redeem', amount: -charge, balanceAfter: roundMoney(updated.balance), order, actor, note }
+    }
+  });
+  return updated;
+};
+
+// Put an amount back on a gift card (refunds and admin adjustments)
+const creditGiftCard = async (cardId, amount, { type = 'refund', order, actor, note } = {}) => {
+  const credit = roundMoney(amount);
+  const filter = { _id: cardId };
+  if (credit < 0) filter.balance = { $gte: -credit };
+
+  const updated = await GiftCard.findOneAndUpdate(filter, { $inc: { balance: credit } }, { new: true });
+  if (!updated) {
+    throw new AppError(credit < 0 ? 'The gift card balance is too low for this adjustment' : 'Gift card not found', 409);
+  }
+
+  await GiftCard.updateOne({ _id: cardId }, {
+    $push: {
+      transactions: { type, amount: credit, balanceAfter: roundMoney(updated.balance), order, actor, note }
+    }
+  });
+  return updated;
+};
+
+// Make a card spendable and send it to its recipient (or the buyer)
+const activateGiftCard = async (card, { actor } = {}) => {
+  card.status = 'active';
+  if (!card.expiresAt) card.expiresAt = defaultExpiry();
+  card.transactions.push({
+    type: 'issue',
+    amount: card.initialBalance,
+    balanceAfter: card.balance,
+    actor,
+    note: card.source === 'purchase' ? 'Purchased' : 'Issued by admin'
+  });
+  await card.save();
+
+  const to = card.recipientEmail || card.purchaserEmail;
+  if (to) {
+    try {
+      await sendEmail(to, 'You have received a gift card', 'giftCard', {
+        name: card.recipientName,
+        code: card.code,
+        amount: card.initialBalance,
+        message: card.message,
+        expiresAt: card.expiresAt ? card.expiresAt.toLocaleDateString() : null,
+        shopUrl: process.env.FRONTEND_URL
+      });
+    } catch (error) {
+      console.error('Error sending gift card email:', error);
+    }
+  }
+
+  return card;
+};
+
+module.exports = {
+  DEFAULT_VALIDITY_DAYS,
+  normalizeCode,
+  findUsableGiftCard,
+  chargeGiftCard,
+  creditGiftCard,
+  activateGiftCard
+};
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const AppError = require('./appError');
+const { notifyRestockedItems } = require('./backInStock');
+const { notifyLowStockWishlists } = require('./wishlistNotifications');
+
+// Atomically change stock for a product or one of its variants.
+// Decrements only succeed when enough stock is left; returns null otherwise.
+// `reserved` moves units in or out of the checkout-reservation count at the same time.
+const changeStock = async (productId, variantId, delta, { reserved = 0 } = {}) => {
+  const filter = { _id: productId };
+  const update = { $inc: { stock: delta } };
+  if (reserved) update.$inc.reserved = reserved;
+
+  if (variantId) {
+    filter.variants = delta < 0
+      ? { $elemMatch: { _id: variantId, stock: { $gte: -delta } } }
+      : { $elemMatch: { _id: variantId } };
+    update.$inc['variants.$.stock'] = delta;
+    if (reserved) update.$inc['variants.$.reserved'] = reserved;
+  } else if (delta < 0) {
+    filter.stock = { $gte: -delta };
+  }
+
+  return Product.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Validate requested order items against the catalog and resolve variants.
+// Each item may identify its variant by `variant` id, `sku` or legacy `size`.
+// Pass checkStock: false when the stock is already held by a reservation.
+const resolveOrderItems = async (items, { checkStock = true } = {}) => {
+  const resolved = [];
+
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity < 1) {
+      throw new AppError('Item quantity must be at least 1', 400);
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product) {
+      throw new AppError(`Product not found: ${item.product}`, 400);
+    }
+    if (product.status !== 'active') {
+      throw new AppError(`${product.name} is no longer available`, 400);
+    }
+
+    let variant = null;
+    if (product.variants && product.variants.length > 0) {
+      variant = product.findVariant(item);
+      if (!variant) {
+        throw new AppError(`Please select a valid option for ${product.name}`, 400);
+      }
+    }
+
+    const label = product.getVariantLabel(variant);
+    const available = variant ? variant.stock : product.stock;
+    if (checkStock && available < quantity) {
+      throw new AppError(`Insufficient stock for ${product.name}${label ? ` (${label})` : ''}`, 400);
+    }
+
+    resolved.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      size: label || item.size,
+      quantity,
+      price: product.getVariantPrice(variant)
+    });
+  }
+
+  return resolved;
+};
+
+// Stock level of a product or variant after an update
+const stockOf = (product, variantId) => {
+  if (!variantId) return product.stock;
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : 0;
+};
+
+const movementFor = (product, variantId, quantity, { type, reason, order, actor }) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  return {
+    product: product._id,
+    variant: variantId || undefined,
+    sku: variant ? variant.sku : product.sku,
+    type,
+    quantity,
+    stockAfter: stockOf(product, variantId),
+    reason,
+    order,
+    actor
+  };
+};
+
+// Write movements to the ledger, then let back-in-stock subscribers and wishlist
+// owners know about restocks and items running low
+const saveMovements = async (movements) => {
+  if (movements.length === 0) return;
+  await StockMovement.insertMany(movements);
+  notifyRestockedItems(movements);
+  notifyLowStockWishlists(movements);
+};
+
+/**
+ * Change stock and record the movement in the ledger
+ * @param {Object} params - { product, variant, quantity (signed), type, reason, order, actor, reserved }
+ * @returns {Promise<Object>} - The updated product
+ */
+const adjustStock = async ({ product, variant, quantity, type, reason, order, actor, reserved }) => {
+  const updated = await changeStock(product, variant, quantity, { reserved });
+  if (!updated) {
+    throw new AppError('Insufficient stock for this adjustment', 409);
+  }
+
+  await saveMovements([movementFor(updated, variant, quantity, { type, reason, order, actor })]);
+  return updated;
+};
+
+// Decrement stock for resolved order items, rolling back on any shortfall.
+// The sales are written to the ledger once every item has been taken; if that
+// write fails the stock is put back, so no change goes unrecorded.
+// With hold: true the units are moved to `reserved` for a checkout awaiting payment.
+const decrementStock = async (items, { order, actor, hold = false, reason } = {}) => {
+  const applied = [];
+  const rollBack = async () => {
+    for (const done of applied) {
+      await changeStock(done.item.product, done.item.variant, done.item.quantity, { reserved: hold ? -done.item.quantity : 0 });
+    }
+  };
+
+  for (const item of items) {
+    const updated = await changeStock(item.product, item.variant, -item.quantity, { reserved: hold ? item.quantity : 0 });
+    if (!updated) {
+      await rollBack();
+      throw new AppError(`Insufficient stock for ${item.sku || item.product}`, 409);
+    }
+    applied.push({ item, updated });
+  }
+
+  try {
+    await saveMovements(applied.map(({ item, updated }) =>
+      movementFor(updated, item.variant, -item.quantity, { type: hold ? 'reservation' : 'sale', reason, order, actor })
+    ));
+  } catch (error) {
+    await rollBack();
+    throw error;
+  }
+};
+
+// Put an order's items back into stock (cancellations and returns).
+// Products deleted since the order was placed are skipped.
+const restockItems = async (order, { type = 'cancellation', reason, actor } = {}) => {
+  for (const item of order.items) {
+    const productId = item.product?._id || item.product;
+    const updated = await changeStock(productId, item.variant, item.quantity);
+    if (!updated) continue;
+
+    await saveMovements([movementFor(updated, item.variant, item.quantity, {
+      type,
+      reason: reason || `Order ${order._id.toString().slice(-6)} ${type === 'return' ? 'returned' : 'cancelled'}`,
+      order: order._id,
+      actor
+    })]);
+  }
+};
+
+// Give held units back to sale (expired holds and failed payments).
+// Products deleted since the hold was made are skipped.
+const releaseHeldStock = async (items, { reason, order, actor } = {}) => {
+  const movements = [];
+  for (const item of items) {
+    const updated = await changeStock(item.product, item.variant, item.quantity, { reserved: -item.quantity });
+    if (updated) {
+      movements.push(movementFor(updated, item.variant, item.quantity, { type: 'release', reason, order, actor }));
+    }
+  }
+  await saveMovements(movements);
+};
+
+// Held units were paid for: they are already out of `stock`, so only `reserved` drops
+const settleHeldStock = async (items) => {
+  for (const item of items) {
+    await changeStock(item.product, item.variant, 0, { reserved: -item.quantity });
+  }
+};
+
+// Refresh the legacy `sizes` list after variants were added or removed outside a save
+const syncSizes = async (product) => {
+  const sizes = Product.variantSizes(product.variants);
+  if (sizes.length && sizes.join('|') !== (product.sizes || []).join('|')) {
+    await Product.updateOne({ _id: product._id }, { $set: { sizes } });
+  }
+};
+
+/**
+ * Add a variant to a saved product. The variant is pushed with no stock and its
+ * initial quantity is then added through the ledger, so no other stock is rewritten.
+ * @param {string} productId - Product to add to
+ * @param {Object} data - { sku, options, price, weight, image, stock }
+ * @param {Object} params - { type, reason, actor } for the initial stock movement
+ * @returns {Promise<Object>} - The updated product
+ */
+const addVariant = async (productId, { stock = 0, ...data }, { type = 'adjustment', reason, actor } = {}) => {
+  const variantId = data._id || new mongoose.Types.ObjectId();
+  let updated = await Product.findOneAndUpdate(
+    { _id: productId, 'variants.sku': { $ne: String(data.sku).trim().toUpperCase() } },
+    { $push: { variants: { ...data, _id: variantId, stock: 0, reserved: 0 } } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new AppError(`Duplicate variant SKU: ${data.sku}`, 400);
+  }
+
+  if (stock > 0) {
+    updated = await adjustStock({ product: productId, variant: variantId, quantity: stock, type, reason, actor });
+  }
+  await syncSizes(updated);
+  return updated;
+};
+
+/**
+ * Remove a variant from a saved product, taking its remaining stock out through
+ * the ledger first. Variants with units held for checkout cannot be removed.
+ * @param {string} productId - Product to remove from
+ * @param {string} variantId - Variant to remove
+ * @param {Object} params - { reason, actor } for the stock movement
+ */
+const removeVariant = async (productId, variantId, { reason, actor } = {}) => {
+  // Sales or restocks may land in between; start over when they do
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const product = await Product.findById(productId).select('sku variants');
+    const variant = product && product.variants.id(variantId);
+    if (!variant) return;
+    if (variant.reserved > 0) {
+      throw new AppError(`Variant ${variant.sku} has units held for checkout and cannot be removed yet`, 409);
+    }
+
+    if (variant.stock > 0) {
+      const emptied = await changeStock(productId, variantId, -variant.stock);
+      if (!emptied) continue;
+      await saveMovements([movementFor(emptied, variantId, -variant.stock, { type: 'adjustment', reason, actor })]);
+    }
+
+    const removed = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, stock: 0, reserved: 0 } } },
+      { $pull: { variants: { _id: variantId } } },
+      { new: true }
+    );
+    if (removed) {
+      await syncSizes(removed);
+      return;
+    }
+  }
+  throw new AppError('Stock changed while the variant was being removed. Please try again', 409);
+};
+
+/**
+ * Bring a product's or variant's stock to a counted level, ledgering the difference
+ * @param {Object} params - { product, variant, stock (target level), type, reason, actor }
+ * @returns {Promise<Object|null>} - The updated product, or null when nothing changed
+ */
+const setStockLevel = async ({ product: productId, variant: variantId, stock, type = 'adjustment', reason, actor }) => {
+  const product = await Product.findById(productId).select('stock variants');
+  const current = product ? stockOf(product, variantId) : 0;
+  if (!product || current === stock) return null;
+  return adjustStock({ product: productId, variant: variantId, quantity: stock - current, type, reason, actor });
+};
+
+// Stock per variant (or for the product itself), taken before a document edit
+const stockSnapshot = (product) => {
+  const snapshot = new Map();
+  if (product.variants && product.variants.length > 0) {
+    product.variants.forEach(variant => snapshot.set(String(variant._id), variant.stock));
+  } else if (!product.isNew) {
+    snapshot.set('', product.stock);
+  }
+  return snapshot;
+};
+
+// Ledger the stock differences between a snapshot and the saved product.
+// Only used for new products, the one place stock is set through the document.
+const recordStockChanges = async (before, product, { type, reason, actor }) => {
+  const after = stockSnapshot(product);
+  const movements = [];
+
+  after.forEach((stock, key) => {
+    const quantity = stock - (before.get(key) || 0);
+    if (quantity !== 0) {
+      movements.push(movementFor(product, key || undefined, quantity, { type, reason, actor }));
+    }
+  });
+
+  before.forEach((stock, key) => {
+    if (!after.has(key) && stock !== 0) {
+      movements.push({
+        product: product._id,
+        variant: key || undefined,
+        type,
+        quantity: -stock,
+        stockAfter: 0,
+        reason,
+        actor
+      });
+    }
+  });
+
+  await saveMovements(movements);
+};
+
+module.exports = {
+  changeStock,
+  adjustStock,
+  resolveOrderItems,
+  decrementStock,
+  restockItems,
+  releaseHeldStock,
+  settleHeldStock,
+  addVariant,
+  removeVariant,
+  setStockLevel,
+  stockSnapshot,
+  recordStockChanges
+};
@@ -0,0 +1,145 @@
+// Low-stock detection using per-product, per-category and store-wide reorder thresholds
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Settings = require('../models/Settings');
+const StockMovement = require('../models/StockMovement');
+
+const hasThreshold = item => item && item.reorderThreshold !== undefined && item.reorderThreshold !== null;
+
+/**
+ * Load a function returning the reorder threshold for a product: its own
+ * threshold, else the nearest category (or ancestor) with one, else the store default
+ * @returns {Promise<Function>} - resolver(product); resolver.max is the highest non-product threshold
+ */
+const loadThresholdResolver = async () => {
+  const [settings, categories] = await Promise.all([
+    Settings.getSettings(),
+    Category.find().select('reorderThreshold ancestors').lean()
+  ]);
+  const defaultThreshold = settings.inventory.lowStockThreshold;
+  const categoriesById = new Map(categories.map(category => [String(category._id), category]));
+
+  const categoryThreshold = (categoryId) => {
+    const category = categoriesById.get(String(categoryId));
+    if (!category) return undefined;
+    if (hasThreshold(category)) return category.reorderThreshold;
+
+    // Ancestors run from the root down, so search from the direct parent upwards
+    const ancestor = [...category.ancestors]
+      .reverse()
+      .map(id => categoriesById.get(String(id)))
+      .find(hasThreshold);
+    return ancestor ? ancestor.reorderThreshold : undefined;
+  };
+
+  const resolver = (product) => {
+    if (hasThreshold(product)) return product.reorderThreshold;
+    const fromCategory = categoryThreshold(product.category?._id || product.category);
+    return fromCategory !== undefined ? fromCategory : defaultThreshold;
+  };
+  resolver.max = Math.max(defaultThreshold, ...categories.filter(hasThreshold).map(category => category.reorderThreshold));
+
+  return resolver;
+};
+
+const describeItem = (product, variant, threshold) => ({
+  product: {
+    _id: product._id,
+    name: product.name,
+    slug: product.slug,
+    image: product.getPrimaryImage(),
+    status: product.status
+  },
+  variant: variant ? variant._id : undefined,
+  sku: variant ? variant.sku : product.sku,
+  label: product.getVariantLabel(variant),
+  stock: variant ? variant.stock : product.stock,
+  threshold,
+  shortfall: threshold - (variant ? variant.stock : product.stock)
+});
+
+// Items of one product (each variant, or the product itself) below the threshold
+const lowStockItemsFor = (product, threshold) => {
+  if (product.variants && product.variants.length > 0) {
+    return product.variants
+      .filter(variant => variant.stock < threshold)
+      .map(variant => describeItem(product, variant, threshold));
+  }
+  return product.stock < threshold ? [describeItem(product, null, threshold)] : [];
+};
+
+/**
+ * Every product or variant currently below its reorder threshold, lowest stock first
+ * @param {Object} filter - Extra product filter (e.g. a category)
+ * @returns {Promise<Array>} - Low-stock items
+ */
+const findLowStockItems = async (filter = {}) => {
+  const resolver = await loadThresholdResolver();
+
+  // Only products that can possibly be low: under the highest shared threshold, or with their own
+  const products = await Product.find({
+    ...filter,
+    status: { $ne: 'archived' },
+    $or: [
+      { stock: { $lt: resolver.max } },
+      { 'variants.stock': { $lt: resolver.max } },
+      { reorderThreshold: { $exists: true, $ne: null } }
+    ]
+  }).select('name slug sku stock variants category reorderThreshold image images status');
+
+  return products
+    .flatMap(product => lowStockItemsFor(product, resolver(product)))
+    .sort((a, b) => a.stock - b.stock || a.product.name.localeCompare(b.product.name));
+};
+
+/**
+ * Items whose stock fell below their threshold since the given date and are still low
+ * @param {Date} since - Start of the window (usually the previous digest)
+ * @returns {Promise<Array>} - Low-stock items with the time they crossed
+ */
+const findThresholdCrossings = async (since) => {
+  const movements = await StockMovement.find({ createdAt: { $gt: since }, quantity: { $lt: 0 } })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (movements.length === 0) return [];
+
+  const resolver = await loadThresholdResolver();
+  const productIds = [...new Set(movements.map(movement => String(movement.product)))];
+  const products = await Product.find({ _id: { $in: productIds }, status: { $ne: 'archived' } })
+    .select('name slug sku stock variants category reorderThreshold image images status');
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  const crossings = new Map();
+  movements.forEach(movement => {
+    const product = productsById.get(String(movement.product));
+    if (!product) return;
+
+    const threshold = resolver(product);
+    const stockBefore = movement.stockAfter - movement.quantity;
+    if (movement.stockAfter < threshold && stockBefore >= threshold) {
+      crossings.set(`${movement.product}:${movement.variant || ''}`, movement.createdAt);
+    }
+  });
+
+  const items = [];
+  crossings.forEach((crossedAt, key) => {
+    const [productId, variantId] = key.split(':');
+    const product = productsById.get(productId);
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) return;
+
+    const threshold = resolver(product);
+    const stock = variant ? variant.stock : product.stock;
+    if (stock < threshold) {
+      items.push({ ...describeItem(product, variant, threshold), crossedAt });
+    }
+  });
+
+  return items.sort((a, b) => a.stock - b.stock);
+};
+
+module.exports = {
+  loadThresholdResolver,
+  findLowStockItems,
+  findThresholdCrossings
+};
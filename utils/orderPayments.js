@@ -0,0 +1,111 @@
+// Paying orders with gift cards and store credit, alongside card or cash on delivery.
+const User = require('../models/User');
+const Store = require('../models/Store');
+const AppError = require('./appError');
+const { findUsableGiftCard, chargeGiftCard, creditGiftCard, normalizeCode } = require('./giftCards');
+const { adjustStoreCredit } = require('./storeCredit');
+const { parseList } = require('./productQuery');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const PREPAID_METHODS = ['gift_card', 'store_credit'];
+
+/**
+ * Pay as much of the order as possible from gift cards, then store credit.
+ * Sets order.payments and order.amountDue; everything taken is given back if a step fails.
+ * @param {Object} order - Unsaved order with totalAmount set
+ * @param {Object} params - { giftCardCodes, useStoreCredit (true for the whole balance, or an amount), user, actor }
+ */
+const applyPrepaidPayments = async (order, { giftCardCodes = [], useStoreCredit, user, actor } = {}) => {
+  let due = roundMoney(order.totalAmount);
+  order.payments = [];
+
+  try {
+    for (const code of [...new Set(parseList(giftCardCodes).map(normalizeCode))]) {
+      if (due <= 0) break;
+      const card = await findUsableGiftCard(code);
+      if (card.currency !== order.currency) {
+        throw new AppError(`Gift card ${card.maskedCode()} is in ${card.currency} and cannot pay an order in ${order.currency}`, 400);
+      }
+      const amount = roundMoney(Math.min(card.balance, due));
+
+      await chargeGiftCard(card, amount, { order: order._id, actor, note: `Order ${order._id.toString().slice(-6)}` });
+      order.payments.push({ method: 'gift_card', amount, giftCard: card._id, reference: card.maskedCode() });
+      due = roundMoney(due - amount);
+    }
+
+    if (useStoreCredit && due > 0) {
+      if (!user) {
+        throw new AppError('Please sign in to use store credit', 401);
+      }
+      // Store credit is held in the store's base currency
+      const baseCurrency = (await Store.getCurrent())?.currency || 'USD';
+      if (order.currency !== baseCurrency) {
+        throw new AppError(`Store credit can only pay orders in ${baseCurrency}`, 400);
+      }
+      const { storeCredit } = await User.findById(user._id).select('storeCredit');
+      const requested = useStoreCredit === true || useStoreCredit === 'true' ? storeCredit : parseFloat(useStoreCredit);
+      if (isNaN(requested) || requested < 0) {
+        throw new AppError('Invalid store credit amount', 400);
+      }
+
+      const amount = roundMoney(Math.min(requested, storeCredit, due));
+      if (amount > 0) {
+        await adjustStoreCredit({
+          user: user._id,
+          amount: -amount,
+          type: 'order_payment',
+          reason: `Order ${order._id.toString().slice(-6)}`,
+          order: order._id,
+          actor
+        });
+        order.payments.push({ method: 'store_credit', amount });
+        due = roundMoney(due - amount);
+      }
+    }
+  } catch (error) {
+    await refundPrepaidPayments(order, { reason: 'Order could not be placed' });
+    throw error;
+  }
+
+  order.amountDue = due;
+};
+
+/**
+ * Give back gift card and store credit amounts paid on an order (cancellations).
+ * Each payment is only refunded once.
+ * @param {Object} order - Order document (saved by the caller)
+ * @param {Object} params - { actor, reason }
+ */
+const refundPrepaidPayments = async (order, { actor, reason } = {}) => {
+  const label = `Order ${order._id.toString().slice(-6)}`;
+
+  for (const payment of order.payments || []) {
+    if (!PREPAID_METHODS.includes(payment.method) || payment.refunded) continue;
+
+    if (payment.method === 'gift_card') {
+      await creditGiftCard(payment.giftCard, payment.amount, {
+        type: 'refund',
+        order: order._id,
+        actor,
+        note: reason || `${label} cancelled`
+      });
+    } else if (order.user) {
+      await adjustStoreCredit({
+        user: order.user,
+        amount: payment.amount,
+        type: 'order_cancelled',
+        reason: reason || `${label} cancelled`,
+        order: order._id,
+        actor
+      });
+    }
+    payment.refunded = true;
+  }
+};
+
+module.exports = {
+  PREPAID_METHODS,
+  applyPrepaidPayments,
+  refundPrepaidPayments
+};
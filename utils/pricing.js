@@ -0,0 +1,187 @@
+// Checkout pricing. The server works out every amount an order is charged from
+// the catalog and store settings, and hands the result to the client as a signed
+// quote. Orders are only created from a valid, unexpired quote.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const TaxRule = require('../models/TaxRule');
+const ShippingZone = require('../models/ShippingZone');
+const AppError = require('./appError');
+const { resolveOrderItems } = require('./inventory');
+const { applyCoupons } = require('./coupons');
+const { getShippingRates, selectShippingRate } = require('./shipping');
+const { calculateTax } = require('./tax');
+const { getCurrencyContext, convertAmount, priceIn } = require('./currency');
+
+const QUOTE_TTL_MINUTES = 30;
+const QUOTE_AUDIENCE = 'checkout-quote';
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const normalizeAddressPart = value => String(value || '').trim().toUpperCase();
+
+// The parts of an address that decide shipping and tax. Every quote is signed with
+// the address it was priced for, and an order must ship to that same address.
+const pricedAddress = address => ({
+  country: normalizeAddressPart(address?.country),
+  state: normalizeAddressPart(address?.state),
+  postalCode: normalizeAddressPart(address?.postalCode).replace(/\s/g, '')
+});
+
+// Reject an address that lacks a part some shipping zone or tax rule is narrowed
+// by, since it could otherwise be priced at a rate meant for somewhere else
+const checkAddressComplete = async (address) => {
+  if (!address.country) {
+    throw new AppError('A shipping country is required to price the order', 400);
+  }
+  const [stateRules, stateZones, postalRules] = await Promise.all([
+    address.state ? false : TaxRule.exists({ isActive: true, state: { $nin: [null, ''] } }),
+    address.state ? false : ShippingZone.exists({ isActive: true, 'states.0': { $exists: true } }),
+    address.postalCode ? false : TaxRule.exists({ isActive: true, postalPrefix: { $nin: [null, ''] } })
+  ]);
+  if (stateRules || stateZones) {
+    throw new AppError('A shipping state or region is required to price the order', 400);
+  }
+  if (postalRules) {
+    throw new AppError('A shipping postal code is required to price the order', 400);
+  }
+};
+
+/**
+ * Price a set of items for checkout
+ * @param {Object} params - { items: [{ product, variant | sku | size, quantity }], couponCodes, shippingAddress,
+ *   shippingMethod, user, email, cart, currency (context from getCurrencyContext; defaults to the base currency) }
+ * @returns {Promise<Object>} - The price breakdown and `shippingOptions`, plus a signed `token` and its `expiresAt`
+ */
+const buildQuote = async ({ items, couponCodes = [], shippingAddress, shippingMethod, user, email, cart, currency }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Order must contain at least one item', 400);
+  }
+  const address = pricedAddress(shippingAddress);
+  await checkAddressComplete(address);
+
+  const [resolved, store, context] = await Promise.all([
+    resolveOrderItems(items),
+    Store.getCurrent(),
+    currency || getCurrencyContext()
+  ]);
+  const products = await Product.find({ _id: { $in: resolved.map(item => item.product) } })
+    .select('name price sale currencyPrices variants');
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  // Every amount below is in the quote's currency
+  const lines = resolved.map(item => {
+    const product = byId.get(String(item.product));
+    const price = priceIn(product, item.variant ? product.variants.id(item.variant) : null, context);
+    return {
+      ...item,
+      price,
+      name: product.name,
+      lineTotal: roundMoney(price * item.quantity)
+    };
+  });
+
+  const itemsPrice = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const { discounts, freeShipping } = await applyCoupons({ codes: couponCodes, lines, user, email, rate: context.rate });
+  const discountPrice = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  // Shipping rates and thresholds are set in the base currency
+  const shippingOptions = (await getShippingRates({
+    lines,
+    subtotal: (itemsPrice - discountPrice) / context.rate,
+    address: shippingAddress,
+    store
+  })).map(option => ({ ...option, price: convertAmount(option.price, context) }));
+  const shipping = selectShippingRate(shippingOptions, shippingMethod);
+
+  let shippingPrice = shipping.price;
+  if (freeShipping) {
+    discounts.push({ ...freeShipping, amount: shippingPrice });
+    shippingPrice = 0;
+  }
+
+  const tax = await calculateTax({ lines, discountPrice, shippingPrice, address: shippingAddress, store });
+  lines.forEach((line, index) => {
+    const { taxClass, taxRate, tax: lineTax } = tax.lines[index];
+    Object.assign(line, { taxClass, taxRate, tax: lineTax });
+  });
+  // Tax-inclusive prices already contain the tax
+  const taxPrice = tax.taxPrice;
+  const totalPrice = roundMoney(itemsPrice - discountPrice + shippingPrice + (tax.pricesIncludeTax ? 0 : taxPrice));
+
+  const quote = {
+    quoteId: crypto.randomBytes(12).toString('hex'),
+    currency: context.currency,
+    exchangeRate: context.rate,
+    items: lines,
+    itemsPrice,
+    discounts,
+    discountPrice,
+    shipping: { method: shipping.method, name: shipping.name, minDays: shipping.minDays, maxDays: shipping.maxDays },
+    shippingPrice,
+    pricesIncludeTax: tax.pricesIncludeTax,
+    taxes: tax.taxes,
+    shippingTax: tax.shippingTax,
+    taxPrice,
+    totalPrice,
+    address,
+    customer: user ? String(user._id) : undefined,
+    cart: cart ? String(cart._id) : undefined
+  };
+
+  const token = jwt.sign(quote, process.env.JWT_SECRET, {
+    audience: QUOTE_AUDIENCE,
+    expiresIn: `${QUOTE_TTL_MINUTES}m`
+  });
+
+  return {
+    ...quote,
+    shippingOptions,
+    token,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_MINUTES * 60 * 1000)
+  };
+};
+
+/**
+ * Check a quote token sent with an order
+ * @param {string} token - Token returned by buildQuote
+ * @param {Object} params - { shippingAddress, user } of the order being placed
+ * @returns {Promise<Object>} - The quote, with its items re-checked for availability
+ */
+const verifyQuote = async (token, { shippingAddress, user } = {}) => {
+  if (!token) {
+    throw new AppError('A checkout quote is required. Please review your order and try again', 400);
+  }
+
+  let quote;
+  try {
+    quote = jwt.verify(token, process.env.JWT_SECRET, { audience: QUOTE_AUDIENCE });
+  } catch (error) {
+    throw new AppError(error.name === 'TokenExpiredError'
+      ? 'Your checkout quote has expired. Please review your order and try again'
+      : 'Invalid checkout quote', 400);
+  }
+
+  if (quote.customer && (!user || String(user._id) !== quote.customer)) {
+    throw new AppError('This checkout quote belongs to another customer', 400);
+  }
+  // Shipping and tax were priced for the quoted address only
+  const ordered = pricedAddress(shippingAddress);
+  if (!quote.address || Object.keys(ordered).some(key => quote.address[key] !== ordered[key])) {
+    throw new AppError('The shipping address changed since your quote. Please review your order again', 400);
+  }
+
+  // Products may have been withdrawn since the quote; the quoted prices still stand.
+  // Stock is not checked here: it is held by the quote's reservation or taken when the order is placed.
+  await resolveOrderItems(quote.items, { checkStock: false });
+
+  return quote;
+};
+
+module.exports = {
+  QUOTE_TTL_MINUTES,
+  roundMoney,
+  buildQuote,
+  verifyQuote
+};
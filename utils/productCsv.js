@@ -0,0 +1,410 @@
+// Bulk catalog import/export in CSV.
+//
+// Each product is one row; each of its variants is an extra row carrying the
+// product's sku/slug plus the variant_* columns. List values use "|" and
+// variant options are written as "size=M|color=Red".
+const slugify = require('slugify');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { parseCsv, toCsv } = require('./csv');
+const { addVariant, setStockLevel, recordStockChanges } = require('./inventory');
+
+const PRODUCT_COLUMNS = [
+  'slug',
+  'sku',
+  'name',
+  'description',
+  'category',
+  'brand',
+  'price',
+  'compare_at_price',
+  'stock',
+  'reorder_threshold',
+  'weight',
+  'tax_class',
+  'featured',
+  'status',
+  'publish_at',
+  'tags',
+  'images',
+  'features',
+  'specifications'
+];
+
+const VARIANT_COLUMNS = ['variant_sku', 'variant_options', 'variant_price', 'variant_stock', 'variant_image'];
+
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+
+const LIST_SEPARATOR = '|';
+
+const splitList = value => (value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : []);
+
+const formatOptions = options => Array.from(options.entries())
+  .map(([name, value]) => `${name}=${value}`)
+  .join(LIST_SEPARATOR);
+
+const parseOptions = value => splitList(value).reduce((options, pair) => {
+  const [name, ...rest] = pair.split('=');
+  if (name && rest.length) options[name.trim()] = rest.join('=').trim();
+  return options;
+}, {});
+
+const parseBoolean = value => ['true', 'yes', '1'].includes(String(value).toLowerCase());
+
+// Export the whole catalog, including stock and pricing
+const exportProductsCsv = async () => {
+  const products = await Product.find()
+    .populate('category', 'slug')
+    .sort({ createdAt: 1 });
+
+  const rows = [];
+  products.forEach(product => {
+    rows.push({
+      slug: product.slug,
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      category: product.category?.slug || '',
+      brand: product.brand,
+      // The regular price, so a running sale is not imported back as the price
+      price: product.sale?.active ? product.sale.originalPrice : product.price,
+      compare_at_price: product.compareAtPrice,
+      stock: product.stock,
+      reorder_threshold: product.reorderThreshold,
+      weight: product.weight,
+      tax_class: product.taxClass,
+      featured: product.featured ? 'true' : 'false',
+      status: product.status,
+      publish_at: product.publishAt ? product.publishAt.toISOString() : '',
+      tags: (product.tags || []).join(LIST_SEPARATOR),
+      images: (product.images || []).map(image => image.url).join(LIST_SEPARATOR) || product.image,
+      features: product.features,
+      specifications: product.specifications
+    });
+
+    (product.variants || []).forEach(variant => {
+      rows.push({
+        slug: product.slug,
+        sku: product.sku,
+        variant_sku: variant.sku,
+        variant_options: formatOptions(variant.options),
+        variant_price: variant.price,
+        variant_stock: variant.stock,
+        variant_image: variant.image
+      });
+    });
+  });
+
+  return toCsv(rows, CSV_COLUMNS);
+};
+
+// Rows belong to the same product when they share a sku, or else a slug
+const groupKey = row => {
+  if (row.sku) return `sku:${row.sku.toUpperCase()}`;
+  if (row.slug) return `slug:${row.slug.toLowerCase()}`;
+  if (row.name) return `slug:${slugify(row.name, { lower: true, strict: true })}`;
+  return null;
+};
+
+const findExistingProduct = async ({ sku, slug, name }) => {
+  if (sku) {
+    const bySku = await Product.findOne({ sku: sku.toUpperCase() });
+    if (bySku) return bySku;
+  }
+  const lookupSlug = (slug || (name && slugify(name, { lower: true, strict: true })) || '').toLowerCase();
+  if (!lookupSlug) return null;
+  return Product.findOne({ $or: [{ slug: lookupSlug }, { previousSlugs: lookupSlug }] });
+};
+
+// Copy non-empty product columns onto the document
+const applyProductRow = async (product, row, errors) => {
+  ['name', 'description', 'brand', 'features', 'specifications'].forEach(field => {
+    if (row[field]) product[field] = row[field];
+  });
+  if (row.slug) product.slug = row.slug;
+  if (row.sku) product.sku = row.sku;
+  if (row.featured) product.featured = parseBoolean(row.featured);
+  if (row.tags) product.tags = splitList(row.tags);
+  if (row.status) product.status = row.status.toLowerCase();
+
+  if (row.publish_at) {
+    const publishAt = new Date(row.publish_at);
+    if (isNaN(publishAt.getTime())) {
+      errors.push(`Invalid publish_at "${row.publish_at}"`);
+    } else {
+      product.publishAt = publishAt;
+    }
+  }
+
+  if (row.price) {
+    const price = parseFloat(row.price);
+    if (isNaN(price) || price < 0) {
+      errors.push(`Invalid price "${row.price}"`);
+    } else if (product.sale?.active) {
+      // While a sale runs, the price is the regular price the sale will return to
+      product.sale.originalPrice = price;
+    } else {
+      product.price = price;
+    }
+  }
+
+  if (row.compare_at_price) {
+    const compareAtPrice = parseFloat(row.compare_at_price);
+    if (isNaN(compareAtPrice) || compareAtPrice < 0) {
+      errors.push(`Invalid compare_at_price "${row.compare_at_price}"`);
+    } else {
+      product.compareAtPrice = compareAtPrice;
+    }
+  }
+
+  if (row.reorder_threshold) {
+    const threshold = parseInt(row.reorder_threshold);
+    if (isNaN(threshold) || threshold < 0) {
+      errors.push(`Invalid reorder_threshold "${row.reorder_threshold}"`);
+    } else {
+      product.reorderThreshold = threshold;
+    }
+  }
+
+  if (row.weight) {
+    const weight = parseFloat(row.weight);
+    if (isNaN(weight) || weight < 0) {
+      errors.push(`Invalid weight "${row.weight}"`);
+    } else {
+      product.weight = weight;
+    }
+  }
+
+  if (row.tax_class) {
+    if (!['standard', 'reduced', 'exempt'].includes(row.tax_class)) {
+      errors.push(`Invalid tax_class "${row.tax_class}"`);
+    } else {
+      product.taxClass = row.tax_class;
+    }
+  }
+
+  if (row.category) {
+    const category = await Category.findByIdentifier(row.category);
+    if (!category) {
+      errors.push(`Unknown category "${row.category}"`);
+    } else {
+      product.category = category._id;
+    }
+  }
+
+  if (row.images) {
+    const urls = splitList(row.images);
+    const current = (product.images || []).map(image => image.url);
+    if (urls.join(LIST_SEPARATOR) !== current.join(LIST_SEPARATOR)) {
+      product.images = urls.map((url, index) => ({
+        url,
+        alt: product.name,
+        position: index,
+        isPrimary: index === 0
+      }));
+    }
+  }
+};
+
+// Variant edits go on the document. New variants of saved products and stock
+// levels are queued in `pending` and applied through the ledger after the save.
+const applyVariantRow = (product, row, errors, pending) => {
+  const existing = product.findVariant({ sku: row.variant_sku });
+  const queued = pending.variants.find(variant => variant.sku === row.variant_sku.toUpperCase());
+  const options = parseOptions(row.variant_options);
+
+  if (!existing && !queued && Object.keys(options).length === 0) {
+    errors.push(`Line ${row._line}: new variant ${row.variant_sku} needs variant_options`);
+    return;
+  }
+
+  const fields = {};
+  if (Object.keys(options).length > 0) fields.options = options;
+
+  if (row.variant_price) {
+    const price = parseFloat(row.variant_price);
+    if (isNaN(price) || price < 0) {
+      errors.push(`Line ${row._line}: invalid variant_price "${row.variant_price}"`);
+    } else {
+      fields.price = price;
+    }
+  }
+
+  let stock;
+  if (row.variant_stock) {
+    stock = parseInt(row.variant_stock);
+    if (isNaN(stock) || stock < 0) {
+      errors.push(`Line ${row._line}: invalid variant_stock "${row.variant_stock}"`);
+      stock = undefined;
+    }
+  }
+
+  if (row.variant_image) fields.image = row.variant_image;
+
+  if (existing) {
+    existing.set(fields);
+    if (stock === undefined) return;
+    if (product.isNew) {
+      existing.stock = stock;
+    } else {
+      pending.stockLevels.push({ variant: existing._id, stock });
+    }
+  } else if (queued) {
+    Object.assign(queued, fields, stock !== undefined && { stock });
+  } else if (product.isNew) {
+    product.variants.push({ sku: row.variant_sku, ...fields, stock: stock || 0 });
+  } else {
+    pending.variants.push({ sku: row.variant_sku.toUpperCase(), ...fields, stock: stock || 0 });
+  }
+};
+
+// SKUs used by this product's variants (or the product itself) that other products
+// already have, or that an earlier product in the same file claimed
+const findSkuCollisions = async (product, pending, claimed) => {
+  const variantSkus = [...product.variants.map(variant => variant.sku), ...pending.variants.map(variant => variant.sku)];
+  const errors = [];
+
+  const owners = await Product.find({
+    _id: { $ne: product._id },
+    $or: [
+      { 'variants.sku': { $in: variantSkus } },
+      ...(product.sku ? [{ sku: product.sku }] : [])
+    ]
+  }).select('name sku variants.sku');
+  owners.forEach(owner => {
+    if (product.sku && owner.sku === product.sku) {
+      errors.push(`SKU ${product.sku} is already used by ${owner.name}`);
+    }
+    owner.variants
+      .filter(variant => variantSkus.includes(variant.sku))
+      .forEach(variant => errors.push(`Variant SKU ${variant.sku} is already used by ${owner.name}`));
+  });
+
+  variantSkus.forEach(sku => {
+    const other = claimed.get(sku);
+    if (other && other !== String(product._id)) {
+      errors.push(`Variant SKU ${sku} appears under another product in this file`);
+    }
+    claimed.set(sku, String(product._id));
+  });
+
+  return errors;
+};
+
+/**
+ * Create or update products from CSV text
+ * @param {string} text - CSV content
+ * @param {Object} options - { dryRun } validates everything without saving; { actor } is recorded on stock movements
+ * @returns {Promise<Object>} - { dryRun, summary, rows } with one report entry per product
+ */
+const importProductsCsv = async (text, { dryRun = false, actor } = {}) => {
+  const records = parseCsv(text);
+  const groups = new Map();
+  const report = [];
+
+  records.forEach(row => {
+    const key = groupKey(row);
+    if (!key) {
+      report.push({ lines: [row._line], status: 'error', errors: ['Row needs a sku, slug or name'] });
+      return;
+    }
+    if (!groups.has(key)) groups.set(key, { key, productRow: null, variantRows: [], lines: [] });
+
+    const group = groups.get(key);
+    group.lines.push(row._line);
+    if (row.variant_sku) {
+      group.variantRows.push(row);
+    } else if (group.productRow) {
+      report.push({ lines: [row._line], key, status: 'error', errors: ['Duplicate product row'] });
+    } else {
+      group.productRow = row;
+    }
+  });
+
+  const claimedSkus = new Map();
+  for (const group of groups.values()) {
+    const identity = group.productRow || group.variantRows[0];
+    const entry = { lines: group.lines, key: group.key, status: 'ok', errors: [] };
+
+    try {
+      let product = await findExistingProduct(identity);
+      entry.action = product ? 'update' : 'create';
+
+      if (!product) {
+        if (!group.productRow) {
+          throw new Error('New products need a product row, not only variant rows');
+        }
+        product = new Product({ variants: [], images: [] });
+      }
+      entry.product = product._id;
+      product.$locals.priceChangeReason = 'import';
+      product.$locals.priceChangeActor = actor;
+      const created = product.isNew;
+      const pending = { variants: [], stockLevels: [] };
+
+      if (group.productRow) {
+        await applyProductRow(product, group.productRow, entry.errors);
+      }
+      group.variantRows.forEach(row => applyVariantRow(product, row, entry.errors, pending));
+
+      // Product stock only applies to products without variants
+      if (group.productRow?.stock && product.variants.length === 0 && pending.variants.length === 0) {
+        const stock = parseInt(group.productRow.stock);
+        if (isNaN(stock) || stock < 0) {
+          entry.errors.push(`Invalid stock "${group.productRow.stock}"`);
+        } else if (created) {
+          product.stock = stock;
+        } else {
+          pending.stockLevels.push({ stock });
+        }
+      }
+
+      // Checked here too so dry runs report clashes the save would fail on
+      entry.errors.push(...await findSkuCollisions(product, pending, claimedSkus));
+
+      if (entry.errors.length === 0) {
+        await product.validate();
+        if (!dryRun) {
+          const movement = { type: 'import', reason: 'CSV import', actor };
+          await product.save();
+          if (created) {
+            await recordStockChanges(new Map(), product, movement);
+          }
+          for (const variant of pending.variants) {
+            await addVariant(product._id, variant, movement);
+          }
+          for (const level of pending.stockLevels) {
+            await setStockLevel({ product: product._id, ...level, ...movement });
+          }
+        }
+      }
+    } catch (error) {
+      entry.errors.push(error.name === 'ValidationError'
+        ? Object.values(error.errors).map(err => err.message).join('. ')
+        : error.message);
+    }
+
+    if (entry.errors.length > 0) entry.status = 'error';
+    report.push(entry);
+  }
+
+  report.sort((a, b) => a.lines[0] - b.lines[0]);
+
+  return {
+    dryRun,
+    summary: {
+      rows: records.length,
+      products: groups.size,
+      created: report.filter(entry => entry.status === 'ok' && entry.action === 'create').length,
+      updated: report.filter(entry => entry.status === 'ok' && entry.action === 'update').length,
+      failed: report.filter(entry => entry.status === 'error').length
+    },
+    rows: report
+  };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  exportProductsCsv,
+  importProductsCsv
+};
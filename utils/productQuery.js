@@ -0,0 +1,120 @@
+// Helpers for turning catalog query-string parameters into Mongo filters,
+// sort specs and pagination values. Shared by every route that lists products.
+const Category = require('../models/Category');
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  name_asc: { name: 1 },
+  name_desc: { name: -1 },
+  rating: { 'rating.average': -1, 'rating.count': -1 }
+};
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 100;
+
+// Accepts "a,b,c" (hpp collapses repeated params) and returns a clean array
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? undefined : parsed;
+};
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Only active products are shown to shoppers; other statuses are admin-only
+const PUBLIC_STATUS = 'active';
+
+// Build a Mongo filter from catalog query params.
+// Categories may be given by slug or id and include their descendants.
+// Admins may pass ?status=draft,scheduled (or "all"); they see everything but archived by default.
+const buildProductFilter = async (query = {}, { admin = false } = {}) => {
+  const filter = {};
+
+  if (!admin) {
+    filter.status = PUBLIC_STATUS;
+  } else {
+    const statuses = parseList(query.status);
+    if (statuses.length === 0) {
+      filter.status = { $ne: 'archived' };
+    } else if (!statuses.includes('all')) {
+      filter.status = { $in: statuses };
+    }
+  }
+
+  if (query.featured === 'true') {
+    filter.featured = true;
+  }
+
+  const categories = parseList(query.category);
+  if (categories.length) {
+    filter.category = { $in: await Category.expandIds(categories) };
+  }
+
+  const brands = parseList(query.brand);
+  if (brands.length) {
+    filter.brand = { $in: brands };
+  }
+
+  const sizes = parseList(query.size);
+  if (sizes.length) {
+    filter.sizes = { $in: sizes };
+  }
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  if (query.inStock === 'true') {
+    filter.stock = { $gt: 0 };
+  }
+
+  const minRating = parseNumber(query.minRating);
+  if (minRating !== undefined) {
+    filter['rating.average'] = { $gte: minRating };
+  }
+
+  return filter;
+};
+
+const buildProductSort = (sort) => SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+
+const getPagination = (query = {}, defaultLimit = DEFAULT_LIMIT) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Standard envelope for paginated product responses
+const paginatedResponse = (products, total, { page, limit }) => ({
+  products,
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  limit
+});
+
+module.exports = {
+  SORT_OPTIONS,
+  PUBLIC_STATUS,
+  parseList,
+  parseNumber,
+  escapeRegex,
+  buildProductFilter,
+  buildProductSort,
+  getPagination,
+  paginatedResponse
+};
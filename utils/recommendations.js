@@ -0,0 +1,82 @@
+const Order = require('../models/Order');
+const ProductRecommendation = require('../models/ProductRecommendation');
+
+// Orders older than this no longer say much about current buying habits
+const LOOKBACK_DAYS = 365;
+// Pairs seen fewer times than this are treated as noise
+const MIN_CO_PURCHASES = 2;
+const MAX_PER_PRODUCT = 20;
+
+/**
+ * Rebuild frequently-bought-together lists from recent order history
+ * @returns {Promise<number>} - Number of products with recommendations
+ */
+const rebuildRecommendations = async () => {
+  const startedAt = new Date();
+  const since = new Date(startedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const pairs = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $nin: ['cancelled', 'dismissed'] } } },
+    // Count each product once per order
+    { $project: { products: { $setUnion: ['$items.product', []] } } },
+    { $match: { 'products.1': { $exists: true } } },
+    { $project: { product: '$products', other: '$products' } },
+    { $unwind: '$product' },
+    { $unwind: '$other' },
+    { $match: { $expr: { $ne: ['$product', '$other'] } } },
+    { $group: { _id: { product: '$product', other: '$other' }, count: { $sum: 1 } } },
+    { $match: { count: { $gte: MIN_CO_PURCHASES } } },
+    { $sort: { '_id.product': 1, count: -1 } },
+    {
+      $group: {
+        _id: '$_id.product',
+        items: { $push: { product: '$_id.other', count: '$count' } }
+      }
+    },
+    { $project: { items: { $slice: ['$items', MAX_PER_PRODUCT] } } }
+  ]);
+
+  if (pairs.length === 0) {
+    await ProductRecommendation.deleteMany({ computedAt: { $lt: startedAt } });
+    return 0;
+  }
+
+  // How many orders each product appears in, for the confidence score
+  const orderCounts = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $nin: ['cancelled', 'dismissed'] } } },
+    { $project: { products: { $setUnion: ['$items.product', []] } } },
+    { $unwind: '$products' },
+    { $match: { products: { $in: pairs.map(pair => pair._id) } } },
+    { $group: { _id: '$products', orders: { $sum: 1 } } }
+  ]);
+  const ordersByProduct = new Map(orderCounts.map(item => [String(item._id), item.orders]));
+
+  await ProductRecommendation.bulkWrite(pairs.map(pair => {
+    const orders = ordersByProduct.get(String(pair._id)) || 1;
+    return {
+      updateOne: {
+        filter: { product: pair._id },
+        update: {
+          $set: {
+            frequentlyBoughtTogether: pair.items.map(item => ({
+              product: item.product,
+              count: item.count,
+              confidence: Math.round((item.count / orders) * 1000) / 1000
+            })),
+            computedAt: startedAt
+          }
+        },
+        upsert: true
+      }
+    };
+  }));
+
+  // Products that no longer have enough co-purchases
+  await ProductRecommendation.deleteMany({ computedAt: { $lt: startedAt } });
+
+  return pairs.length;
+};
+
+module.exports = {
+  rebuildRecommendations
+};
@@ -0,0 +1,153 @@
+// Checkout stock reservations: held when checkout starts, converted to a sale
+// once paid, and given back when the hold runs out or the payment fails.
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const StockReservation = require('../models/StockReservation');
+const { decrementStock, restockItems, releaseHeldStock, settleHeldStock } = require('./inventory');
+
+const MINUTE = 60 * 1000;
+
+const holdExpiry = async (now = new Date()) => {
+  const settings = await Settings.getSettings();
+  return new Date(now.getTime() + settings.inventory.reservationMinutes * MINUTE);
+};
+
+const orderLabel = order => `Order ${(order._id || order).toString().slice(-6)}`;
+
+/**
+ * Hold stock for resolved items until the configured reservation time runs out.
+ * Fails with 409 (and holds nothing) if any item is short.
+ * @param {Array} items - Resolved items ({ product, variant, sku, quantity })
+ * @param {Object} params - { quoteId, cart, order, actor }
+ * @returns {Promise<Date>} - When the hold expires
+ */
+const reserveItems = async (items, { quoteId, cart, order, actor } = {}) => {
+  const expiresAt = await holdExpiry();
+  await decrementStock(items, { order, actor, hold: true, reason: 'Held at checkout' });
+
+  await StockReservation.insertMany(items.map(item => ({
+    product: item.product,
+    variant: item.variant || undefined,
+    sku: item.sku,
+    quantity: item.quantity,
+    quoteId,
+    cart,
+    order,
+    expiresAt
+  })));
+
+  return expiresAt;
+};
+
+/**
+ * Close active reservations matching a filter and give their stock back.
+ * Each reservation is closed atomically, so stock is only returned once.
+ * @param {Object} filter - e.g. { cart }, { order } or { quoteId }
+ * @param {Object} params - { status: released|expired, reason, actor, now }
+ * @returns {Promise<Array>} - The reservations that were closed
+ */
+const releaseReservations = async (filter, { status = 'released', reason, actor, now = new Date() } = {}) => {
+  const candidates = await StockReservation.find({ ...filter, status: 'active' });
+  const closed = [];
+
+  for (const reservation of candidates) {
+    const updated = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active', ...(filter.expiresAt ? { expiresAt: filter.expiresAt } : {}) },
+      { $set: { status, closedAt: now, reason } },
+      { new: true }
+    );
+    if (updated) closed.push(updated);
+  }
+
+  for (const reservation of closed) {
+    await releaseHeldStock([reservation], {
+      reason: reason || (status === 'expired' ? 'Checkout reservation expired' : 'Checkout reservation released'),
+      order: reservation.order,
+      actor
+    });
+  }
+
+  return closed;
+};
+
+// Attach a quote's holds to the order placed from it, restarting the hold time
+const claimReservations = async (quoteId, order) => {
+  if (!quoteId) return 0;
+  const result = await StockReservation.updateMany(
+    { quoteId, status: 'active', order: null },
+    { $set: { order: order._id, expiresAt: await holdExpiry() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Turn an order's holds into a sale once it is paid. If the holds ran out
+ * before payment, the stock is taken again; a shortfall is logged so the
+ * order can be followed up rather than failing an already-taken payment.
+ * @param {Object} order - Order document; inventoryCommitted is updated
+ */
+const convertReservations = async (order) => {
+  const active = await StockReservation.find({ order: order._id, status: 'active' });
+  const converted = [];
+
+  for (const reservation of active) {
+    const updated = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { $set: { status: 'converted', closedAt: new Date() } },
+      { new: true }
+    );
+    if (updated) converted.push(updated);
+  }
+  await settleHeldStock(converted);
+
+  if (converted.length === 0 && !order.inventoryCommitted) {
+    try {
+      await decrementStock(order.items, { order: order._id });
+    } catch (error) {
+      console.error(`${orderLabel(order)} was paid after its reservation expired:`, error.message);
+      return;
+    }
+  }
+  order.inventoryCommitted = true;
+};
+
+/**
+ * Give an order's stock back: active holds are released, stock already sold
+ * is restocked. The caller clears order.inventoryCommitted and saves.
+ * @param {Object} order - Order document
+ * @param {Object} params - Passed to restockItems: { type, reason, actor }
+ */
+const returnOrderStock = async (order, { type, reason, actor } = {}) => {
+  const released = await releaseReservations({ order: order._id }, { reason, actor });
+  if (released.length === 0) {
+    await restockItems(order, { type, reason, actor });
+  }
+};
+
+// Release holds whose time has run out. Unpaid orders that held them no
+// longer own any stock; paying them later takes it again.
+const expireReservations = async (now = new Date()) => {
+  const expired = await releaseReservations(
+    { expiresAt: { $lte: now } },
+    { status: 'expired', now }
+  );
+
+  const orderIds = [...new Set(expired.filter(r => r.order).map(r => String(r.order)))];
+  if (orderIds.length > 0) {
+    await Order.updateMany(
+      { _id: { $in: orderIds }, isPaid: false },
+      { $set: { inventoryCommitted: false } }
+    );
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  reserveItems,
+  releaseReservations,
+  claimReservations,
+  convertReservations,
+  returnOrderStock,
+  expireReservations
+};
@@ -0,0 +1,146 @@
+// Shipping rates. The destination picks the most specific shipping zone, whose
+// methods are priced at a flat rate, by weight or by order subtotal. Stores
+// without zones charge the store's flat rate and free-shipping threshold.
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const AppError = require('./appError');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const METHOD_NAMES = {
+  standard: 'Standard Shipping',
+  express: 'Express Shipping',
+  pickup: 'Store Pickup'
+};
+
+// Delivery time quoted when no zones are set up
+const DEFAULT_DELIVERY_DAYS = { minDays: 3, maxDays: 7 };
+
+const addBusinessDays = (from, days) => {
+  const date = new Date(from);
+  let added = 0;
+  while (added < days) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0 && date.getDay() !== 6) added++;
+  }
+  return date;
+};
+
+// Earliest and latest delivery dates for a method, counted from `from`
+const estimateDelivery = ({ minDays, maxDays }, from = new Date()) => ({
+  estimatedDeliveryFrom: addBusinessDays(from, minDays),
+  estimatedDeliveryTo: addBusinessDays(from, maxDays)
+});
+
+// Delivery window for emails: "Mar 3 - Mar 6", or a single date when both ends match
+const formatDeliveryEstimate = ({ estimatedDeliveryFrom, estimatedDeliveryTo } = {}) => {
+  if (!estimatedDeliveryFrom || !estimatedDeliveryTo) return undefined;
+  const format = date => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  const from = format(estimatedDeliveryFrom);
+  const to = format(estimatedDeliveryTo);
+  return from === to ? from : `${from} - ${to}`;
+};
+
+// The quoted shipping method as stored on an order, with its delivery window from now
+const orderShippingMethod = (shipping, from = new Date()) => {
+  if (!shipping) return undefined;
+  return { ...shipping, ...estimateDelivery(shipping, from) };
+};
+
+// The most specific active zone covering an address, or null
+const findZone = async (address) => {
+  const zones = await ShippingZone.find({ isActive: true }).sort({ createdAt: 1 });
+
+  let best = null;
+  let bestScore = -1;
+  zones.forEach(zone => {
+    const score = zone.matchScore(address || {});
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  });
+
+  return { zone: best, configured: zones.length > 0 };
+};
+
+// Shipping weight in kg of resolved order lines
+const weightOf = async (lines) => {
+  const products = await Product.find({ _id: { $in: lines.map(line => line.product) } }).select('weight variants');
+  const byId = new Map(products.map(product => [String(product._id), product]));
+
+  return lines.reduce((sum, line) => {
+    const product = byId.get(String(line.product));
+    if (!product) return sum;
+    const variant = line.variant ? product.variants.id(line.variant) : null;
+    return sum + product.getShippingWeight(variant) * line.quantity;
+  }, 0);
+};
+
+// Rate of the highest tier the measure reaches; below every tier the lowest applies
+const tierRate = (tiers, measure) => {
+  const sorted = [...tiers].sort((a, b) => a.from - b.from);
+  const reached = sorted.filter(tier => tier.from <= measure);
+  return (reached.length ? reached[reached.length - 1] : sorted[0]).rate;
+};
+
+const priceMethod = (method, { subtotal, weight }) => {
+  if (method.freeAbove !== undefined && method.freeAbove !== null && subtotal >= method.freeAbove) return 0;
+  if (method.rateType === 'weight') return tierRate(method.tiers, weight);
+  if (method.rateType === 'price') return tierRate(method.tiers, subtotal);
+  return method.rate;
+};
+
+const presentRate = (method, price, now) => ({
+  method: method.method,
+  name: method.name || METHOD_NAMES[method.method],
+  price: roundMoney(price),
+  minDays: method.minDays,
+  maxDays: method.maxDays,
+  ...estimateDelivery(method, now)
+});
+
+/**
+ * Shipping options for an order, cheapest first
+ * @param {Object} params - { lines (resolved items), subtotal (after discounts), address ({ country, state }), store }
+ * @returns {Promise<Array>} - [{ method, name, price, minDays, maxDays, estimatedDeliveryFrom, estimatedDeliveryTo }]
+ */
+const getShippingRates = async ({ lines, subtotal, address, store, now = new Date() }) => {
+  const { zone, configured } = await findZone(address);
+
+  if (!configured) {
+    const free = store?.freeShippingThreshold > 0 && subtotal >= store.freeShippingThreshold;
+    return [presentRate({ method: 'standard', ...DEFAULT_DELIVERY_DAYS }, free ? 0 : store?.shippingCost || 0, now)];
+  }
+
+  const methods = zone ? zone.methods.filter(method => method.isActive) : [];
+  if (methods.length === 0) {
+    throw new AppError(address?.country
+      ? `We do not ship to ${address.country} yet`
+      : 'Please enter a shipping address to see shipping options', 400);
+  }
+
+  const weight = await weightOf(lines);
+  return methods
+    .map(method => presentRate(method, priceMethod(method, { subtotal, weight }), now))
+    .sort((a, b) => a.price - b.price);
+};
+
+// The rate for the chosen method, or the cheapest when none was chosen
+const selectShippingRate = (rates, method) => {
+  if (!method) return rates[0];
+  const rate = rates.find(option => option.method === method);
+  if (!rate) {
+    throw new AppError(`${METHOD_NAMES[method] || method} is not available for this address`, 400);
+  }
+  return rate;
+};
+
+module.exports = {
+  METHOD_NAMES,
+  estimateDelivery,
+  formatDeliveryEstimate,
+  orderShippingMethod,
+  getShippingRates,
+  selectShippingRate
+};
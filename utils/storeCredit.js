@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const AppError = require('./appError');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Change a user's store credit and record the transaction.
+ * Spending only succeeds when the balance covers it.
+ * @param {Object} params - { user, amount (signed), type, reason, order, actor }
+ * @returns {Promise<Object>} - The transaction
+ */
+const adjustStoreCredit = async ({ user, amount, type, reason, order, actor }) => {
+  const change = roundMoney(amount);
+  if (!change) {
+    throw new AppError('Amount cannot be zero', 400);
+  }
+
+  const filter = { _id: user._id || user };
+  if (change < 0) filter.storeCredit = { $gte: -change };
+
+  const updated = await User.findOneAndUpdate(filter, { $inc: { storeCredit: change } }, { new: true })
+    .select('storeCredit');
+  if (!updated) {
+    throw change < 0
+      ? new AppError('Not enough store credit', 409)
+      : new AppError('User not found', 404);
+  }
+
+  return StoreCreditTransaction.create({
+    user: updated._id,
+    type,
+    amount: change,
+    balanceAfter: roundMoney(updated.storeCredit),
+    reason,
+    order,
+    actor
+  });
+};
+
+module.exports = {
+  adjustStoreCredit
+};
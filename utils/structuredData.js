@@ -0,0 +1,61 @@
+// schema.org JSON-LD for product pages
+
+const availabilityFor = stock => (stock > 0
+  ? 'https://schema.org/InStock'
+  : 'https://schema.org/OutOfStock');
+
+// Uploaded images are stored as /uploads/... paths; search engines need absolute URLs
+const absoluteUrl = (url, baseUrl) => (url && url.startsWith('/') ? `${baseUrl}${url}` : url);
+
+/**
+ * Build a schema.org Product with one Offer per variant (or a single Offer)
+ * @param {Object} product - Product document (category populated if available)
+ * @param {Object} options - { currency, baseUrl, productUrl }
+ * @returns {Object} JSON-LD object
+ */
+const buildProductJsonLd = (product, { currency, baseUrl, productUrl }) => {
+  const offer = (price, stock, sku) => ({
+    '@type': 'Offer',
+    ...(sku && { sku }),
+    price: Number(price).toFixed(2),
+    priceCurrency: currency,
+    availability: availabilityFor(stock),
+    itemCondition: 'https://schema.org/NewCondition',
+    url: productUrl
+  });
+
+  const variants = product.variants || [];
+  const images = (product.images && product.images.length > 0)
+    ? product.images.map(image => absoluteUrl(image.url, baseUrl))
+    : [absoluteUrl(product.image, baseUrl)].filter(Boolean);
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: product.description,
+    image: images,
+    url: productUrl,
+    brand: { '@type': 'Brand', name: product.brand },
+    ...(product.category?.name && { category: product.category.name }),
+    offers: variants.length > 0
+      ? variants.map(variant => offer(product.getVariantPrice(variant), variant.stock, variant.sku))
+      : offer(product.price, product.stock)
+  };
+
+  if (product.rating && product.rating.count > 0) {
+    jsonLd.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: product.rating.average,
+      reviewCount: product.rating.count,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  return jsonLd;
+};
+
+module.exports = {
+  buildProductJsonLd
+};
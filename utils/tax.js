@@ -0,0 +1,99 @@
+// Tax calculation. Each order line is taxed at the rule for its product's tax
+// class in the shipping region, after its share of the order's discounts. With
+// tax-inclusive pricing the tax is worked out of the amounts instead of added.
+const Product = require('../models/Product');
+const TaxRule = require('../models/TaxRule');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+const normalize = value => String(value || '').trim().toUpperCase();
+
+// The best-matching rule per tax class for an address. Stores without any
+// rules tax standard and reduced products at the store's single rate.
+const rulesFor = async (address, store) => {
+  const country = normalize(address?.country);
+  const [configured, rules] = await Promise.all([
+    TaxRule.exists({ isActive: true }),
+    country ? TaxRule.find({ isActive: true, country }) : []
+  ]);
+
+  if (!configured) {
+    const fallback = { name: 'Tax', rate: store?.taxRate || 0, appliesToShipping: false };
+    return new Map([['standard', fallback], ['reduced', fallback]]);
+  }
+
+  const best = new Map();
+  rules.forEach(rule => {
+    const score = rule.matchScore(address);
+    if (score < 0) return;
+    const current = best.get(rule.taxClass);
+    if (!current || score > current.score) best.set(rule.taxClass, { rule, score });
+  });
+  return new Map([...best].map(([taxClass, { rule }]) => [taxClass, rule]));
+};
+
+const taxOn = (amount, rate, inclusive) => (inclusive ? amount - amount / (1 + rate / 100) : amount * rate / 100);
+
+/**
+ * Work out the tax on an order
+ * @param {Object} params - { lines (with product, variant, lineTotal), discountPrice, shippingPrice, address, store }
+ * @returns {Promise<Object>} - { pricesIncludeTax, lines: [{ taxClass, taxRate, taxableAmount, tax }] in line order,
+ *   shippingTax, taxes: [{ name, rate, taxableAmount, amount }], taxPrice }
+ */
+const calculateTax = async ({ lines, discountPrice = 0, shippingPrice = 0, address, store }) => {
+  const inclusive = !!store?.pricesIncludeTax;
+  const [rules, products] = await Promise.all([
+    rulesFor(address, store),
+    Product.find({ _id: { $in: lines.map(line => line.product) } }).select('taxClass')
+  ]);
+  const classes = new Map(products.map(product => [String(product._id), product.taxClass]));
+
+  const taxes = new Map();
+  const collect = (rule, taxableAmount, amount) => {
+    const key = `${rule.name}|${rule.rate}`;
+    const entry = taxes.get(key) || { name: rule.name, rate: rule.rate, taxableAmount: 0, amount: 0 };
+    entry.taxableAmount = roundMoney(entry.taxableAmount + taxableAmount);
+    entry.amount = roundMoney(entry.amount + amount);
+    taxes.set(key, entry);
+  };
+
+  // Spread order-level discounts over the lines by value; the last line takes the rounding
+  const itemsTotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  let discountLeft = roundMoney(discountPrice);
+
+  const taxLines = lines.map((line, index) => {
+    const share = index === lines.length - 1
+      ? discountLeft
+      : roundMoney(itemsTotal > 0 ? discountPrice * line.lineTotal / itemsTotal : 0);
+    discountLeft = roundMoney(discountLeft - share);
+
+    const taxClass = classes.get(String(line.product)) || 'standard';
+    const rule = taxClass === 'exempt' ? null : rules.get(taxClass);
+    const taxableAmount = roundMoney(Math.max(line.lineTotal - share, 0));
+    const tax = rule ? roundMoney(taxOn(taxableAmount, rule.rate, inclusive)) : 0;
+    if (rule) collect(rule, taxableAmount, tax);
+
+    return { taxClass, taxRate: rule ? rule.rate : 0, taxableAmount, tax };
+  });
+
+  const shippingRule = rules.get('standard');
+  let shippingTax = 0;
+  if (shippingRule?.appliesToShipping && shippingPrice > 0) {
+    shippingTax = roundMoney(taxOn(shippingPrice, shippingRule.rate, inclusive));
+    collect(shippingRule, shippingPrice, shippingTax);
+  }
+
+  const taxPrice = roundMoney(taxLines.reduce((sum, line) => sum + line.tax, 0) + shippingTax);
+
+  return {
+    pricesIncludeTax: inclusive,
+    lines: taxLines,
+    shippingTax,
+    taxes: [...taxes.values()].filter(entry => entry.amount > 0),
+    taxPrice
+  };
+};
+
+module.exports = {
+  calculateTax
+};
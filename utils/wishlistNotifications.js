@@ -0,0 +1,131 @@
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const { sendEmail } = require('./sendEmail');
+const { loadThresholdResolver } = require('./lowStock');
+
+const productUrl = product => `${process.env.FRONTEND_URL}/product/${product.slug || product._id}`;
+
+// Owners of lists that contain the product and want this kind of notification, one entry per user
+const findWatchers = async (productId, setting, variantId) => {
+  const itemMatch = variantId
+    ? { product: productId, variant: { $in: [variantId, null] } }
+    : { product: productId };
+  const wishlists = await Wishlist.find({
+    items: { $elemMatch: itemMatch },
+    [`notifications.${setting}`]: true
+  }).populate('user', 'name email');
+
+  const users = new Map();
+  wishlists.forEach(wishlist => {
+    if (wishlist.user) users.set(String(wishlist.user._id), wishlist.user);
+  });
+  return [...users.values()];
+};
+
+/**
+ * Tell wishlist owners that a product just went on sale
+ * @param {Object} product - Product document whose sale has started
+ */
+const notifyWishlistSale = async (product) => {
+  if (product.status !== 'active' || !product.sale.active) return;
+
+  const users = await findWatchers(product._id, 'onSale');
+  const oldPrice = product.sale.originalPrice;
+
+  for (const user of users) {
+    try {
+      await sendEmail(
+        user.email,
+        `${product.name} is on sale`,
+        'priceDrop',
+        {
+          name: user.name,
+          product: {
+            name: product.name,
+            description: product.description,
+            image: product.getPrimaryImage(),
+            brand: product.brand,
+            rating: product.rating?.average || undefined,
+            reviews: product.rating?.count || undefined,
+            newPrice: product.price,
+            oldPrice,
+            discount: Math.round((1 - product.price / oldPrice) * 100)
+          },
+          productUrl: productUrl(product)
+        }
+      );
+    } catch (error) {
+      console.error(`Error sending wishlist sale email to ${user.email}:`, error.message);
+    }
+  }
+};
+
+// Tell wishlist owners an item is about to sell out
+const notifyWishlistLowStock = async (product, variant) => {
+  const users = await findWatchers(product._id, 'lowStock', variant?._id);
+  const label = product.getVariantLabel(variant);
+
+  for (const user of users) {
+    try {
+      await sendEmail(
+        user.email,
+        `Only a few ${product.name} left`,
+        'wishlistLowStock',
+        {
+          name: user.name,
+          product: {
+            name: label ? `${product.name} (${label})` : product.name,
+            image: (variant && variant.image) || product.getPrimaryImage(),
+            price: product.getVariantPrice(variant),
+            stock: variant ? variant.stock : product.stock
+          },
+          productUrl: productUrl(product)
+        }
+      );
+    } catch (error) {
+      console.error(`Error sending wishlist low stock email to ${user.email}:`, error.message);
+    }
+  }
+};
+
+// Check ledger movements for wishlisted items that just dropped below their
+// reorder threshold. Runs in the background so stock changes never wait on email.
+const notifyLowStockWishlists = (movements) => {
+  const drops = movements.filter(movement => movement.quantity < 0 && movement.stockAfter > 0);
+  if (drops.length === 0) return;
+
+  const run = async () => {
+    const productIds = [...new Set(drops.map(movement => String(movement.product)))];
+    const watched = await Wishlist.exists({
+      'items.product': { $in: productIds },
+      'notifications.lowStock': true
+    });
+    if (!watched) return;
+
+    const [resolver, products] = await Promise.all([
+      loadThresholdResolver(),
+      Product.find({ _id: { $in: productIds }, status: 'active' })
+    ]);
+
+    for (const movement of drops) {
+      const product = products.find(item => item._id.equals(movement.product));
+      if (!product) continue;
+
+      const threshold = resolver(product);
+      const stockBefore = movement.stockAfter - movement.quantity;
+      if (movement.stockAfter < threshold && stockBefore >= threshold) {
+        const variant = movement.variant ? product.variants.id(movement.variant) : null;
+        await notifyWishlistLowStock(product, variant);
+      }
+    }
+  };
+
+  run().catch(error => {
+    console.error('Error sending wishlist low stock notifications:', error);
+  });
+};
+
+module.exports = {
+  notifyWishlistSale,
+  notifyLowStockWishlists
+};